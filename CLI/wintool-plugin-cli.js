@@ -8,13 +8,110 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const os = require('os');
+const { pathToFileURL } = require('url');
 const { execSync } = require('child_process');
 
 // CLI Configuration
 const CLI_VERSION = '1.0.0';
-const PLUGIN_DIR = path.join(process.env.LOCALAPPDATA || process.env.APPDATA, 'MTechWare', 'WinTool', 'Plugins');
+const CLI_LICENSE = require('./package.json').license;
+const APP_DATA_DIR = process.env.LOCALAPPDATA || process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Local');
+const PLUGIN_DIR = process.env.WINTOOL_PLUGIN_DIR
+    ? path.resolve(process.env.WINTOOL_PLUGIN_DIR)
+    : path.join(APP_DATA_DIR, 'MTechWare', 'WinTool', 'Plugins');
 const DEV_PLUGIN_DIR = path.join(__dirname, '..', 'src', 'plugins');
 
+// Per-plugin configuration (.wintoolpluginrc) for the security scan, lint rules and license report
+const PLUGIN_CONFIG_FILE = '.wintoolpluginrc';
+const DEFAULT_PLUGIN_CONFIG = {
+    failOn: 'high',
+    rules: {},
+    ruleModules: [],
+    ignorePatterns: [],
+    baseline: '.wintool-baseline.json',
+    allowedLicenses: [
+        'MIT', 'ISC', '0BSD', 'BSD-2-Clause', 'BSD-3-Clause', 'Apache-2.0', 'Unlicense', 'CC0-1.0',
+        'LGPL-3.0-only', 'LGPL-3.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later'
+    ],
+    sizeBudget: {}
+};
+const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+// Only as a comment, so a string or page text mentioning it does not silence the next line
+const IGNORE_COMMENT_PATTERN = /(?:\/\/|\/\*|<!--|#)[ \t]*wintool-ignore-next-line(?:[ \t]+([a-zA-Z][\w-]*(?:[ \t]*,?[ \t]*[a-zA-Z][\w-]*)*))?/;
+
+// Reproducible packages: fixed entry metadata plus a per-file integrity manifest
+const PACKAGE_TIMESTAMP = new Date('1980-01-01T00:00:00Z'); // earliest date a zip entry can hold
+const PACKAGE_FILE_MODE = 0o644;
+const PACKAGE_EXCLUDED_FILES = ['Thumbs.db'];
+const PACKAGE_EXCLUDED_EXTENSIONS = ['.zip'];
+const INTEGRITY_FILE = 'integrity.json';
+const CYCLONEDX_SPEC_VERSION = '1.5';
+
+// Production builds (build --production): what is dropped, what is minified and how sizes are grouped
+const PRODUCTION_EXCLUDED_FILES = [
+    /\.(bak|backup|orig|old|tmp|swp|swo)$/i, // backups and editor swap files
+    /~$/, /^#.*#$/, // editor autosaves
+    /\.log(\.\d+)?$/i, // logs, including rotated npm-debug.log.1234
+    /^desktop\.ini$/i
+];
+const PRODUCTION_DEPENDENCY_EXCLUDED_FILES = [
+    /^(readme|changelog|changes|history)(\.|$)/i,
+    /\.(test|spec)\.[cm]?[jt]s$/i
+];
+const PRODUCTION_DEPENDENCY_EXCLUDED_DIRECTORIES = ['test', 'tests', '__tests__', 'spec', '__mocks__'];
+const MINIFY_FILES = ['script.js', 'styles.css', 'index.html'];
+const SIZE_CATEGORIES = { '.js': 'code', '.cjs': 'code', '.mjs': 'code', '.css': 'styles', '.html': 'markup', '.htm': 'markup' };
+const SIZE_BUDGET_KEYS = ['code', 'styles', 'markup', 'dependencies', 'other', 'total', 'zip'];
+
+// Executable and script file types: refused in zips and reported by the security scan in directories
+const EXECUTABLE_FILE_EXTENSIONS = ['.exe', '.dll', '.scr', '.com', '.msi', '.sys', '.cpl', '.ocx', '.bat', '.cmd', '.vbs', '.vbe', '.wsf', '.hta', '.jar'];
+
+// Limits and error codes shared by every command that opens a plugin zip
+const ARCHIVE_LIMITS = {
+    maxEntries: 5000,
+    maxTotalSize: 200 * 1024 * 1024,
+    maxCompressionRatio: 100,
+    ratioMinSize: 1024 * 1024
+};
+const ARCHIVE_ERRORS = {
+    ARCHIVE_NOT_FOUND: 'Archive not found',
+    ARCHIVE_INVALID: 'Archive could not be read',
+    ARCHIVE_PATH_TRAVERSAL: 'Entry escapes the plugin folder',
+    ARCHIVE_ABSOLUTE_PATH: 'Entry has an absolute path',
+    ARCHIVE_SYMLINK: 'Entry is a symbolic link',
+    ARCHIVE_DUPLICATE_ENTRY: 'Entry differs from another only by case',
+    ARCHIVE_TOO_MANY_ENTRIES: 'Archive has too many entries',
+    ARCHIVE_TOO_LARGE: 'Archive is too large when extracted',
+    ARCHIVE_COMPRESSION_RATIO: 'Entry compression ratio is suspiciously high',
+    ARCHIVE_EXECUTABLE: 'Executable files are not allowed in plugins'
+};
+
+// File/HTTP plugin registry: index.json plus plugins/<id>/<id>-<version>.zip
+const REGISTRY_INDEX_FILE = 'index.json';
+const REGISTRY_VERSION = 1;
+const REGISTRY_TIMEOUT = 15000;
+
+// Package signing (Ed25519); the signature travels inside the zip
+const SIGNATURE_FILE = 'signature.json';
+const SIGNATURE_VERSION = 1;
+const DEFAULT_KEY_NAME = 'wintool-plugin';
+
+// Dependency audit: local advisory database (replace it with `audit --update-advisories`)
+const ADVISORY_DB_PATH = process.env.WINTOOL_ADVISORY_DB
+    ? path.resolve(process.env.WINTOOL_ADVISORY_DB)
+    : path.join(APP_DATA_DIR, 'MTechWare', 'WinTool', 'advisories.json');
+const LOCKFILE_NAMES = ['package-lock.json', 'npm-shrinkwrap.json'];
+const INSTALL_SCRIPT_NAMES = ['preinstall', 'install', 'postinstall'];
+
+// Machine-readable report formats for validate, security, lint and test
+const REPORT_FORMATS = ['json', 'sarif', 'junit'];
+const REPORT_VERSION = 2;
+const SARIF_LEVELS = { high: 'error', medium: 'warning', low: 'note' };
+
+// plugin.json format version and the JSON Schema that describes it
+const MANIFEST_VERSION = 1;
+const MANIFEST_SCHEMA_PATH = path.join(__dirname, 'schemas', `plugin-manifest.v${MANIFEST_VERSION}.schema.json`);
+
 // Color codes for console output
 const colors = {
     reset: '\x1b[0m',
@@ -29,12 +126,15 @@ const colors = {
 
 // Utility functions
 const log = {
-    info: (msg) => console.log(`${colors.blue}ℹ${colors.reset} ${msg}`),
-    success: (msg) => console.log(`${colors.green}✓${colors.reset} ${msg}`),
-    warning: (msg) => console.log(`${colors.yellow}⚠${colors.reset} ${msg}`),
-    error: (msg) => console.log(`${colors.red}✗${colors.reset} ${msg}`),
-    title: (msg) => console.log(`${colors.bright}${colors.cyan}${msg}${colors.reset}`),
-    subtitle: (msg) => console.log(`${colors.magenta}${msg}${colors.reset}`)
+    // Switched to stderr when a machine-readable report is written to stdout
+    stream: process.stdout,
+    print: (msg) => log.stream.write(`${msg}\n`),
+    info: (msg) => log.print(`${colors.blue}ℹ${colors.reset} ${msg}`),
+    success: (msg) => log.print(`${colors.green}✓${colors.reset} ${msg}`),
+    warning: (msg) => log.print(`${colors.yellow}⚠${colors.reset} ${msg}`),
+    error: (msg) => log.print(`${colors.red}✗${colors.reset} ${msg}`),
+    title: (msg) => log.print(`${colors.bright}${colors.cyan}${msg}${colors.reset}`),
+    subtitle: (msg) => log.print(`${colors.magenta}${msg}${colors.reset}`)
 };
 
 // Plugin template types
@@ -42,20 +142,39 @@ const PLUGIN_TYPES = {
     basic: {
         name: 'Basic Plugin',
         description: 'Simple frontend-only plugin with HTML, CSS, and JavaScript',
-        files: ['plugin.json', 'index.html', 'script.js', 'styles.css']
+        files: ['plugin.json', 'index.html', 'script.js', 'styles.css'],
+        permissions: ['notifications.show']
     },
     advanced: {
         name: 'Advanced Plugin',
         description: 'Plugin with backend support and Node.js integration',
-        files: ['plugin.json', 'index.html', 'script.js', 'styles.css', 'backend.js', 'package.json']
+        files: ['plugin.json', 'index.html', 'script.js', 'styles.css', 'backend.js', 'package.json'],
+        permissions: ['storage.read', 'storage.write', 'notifications.show']
     },
     minimal: {
         name: 'Minimal Plugin',
         description: 'Bare minimum plugin structure',
-        files: ['plugin.json', 'index.html', 'script.js']
+        files: ['plugin.json', 'index.html', 'script.js'],
+        permissions: ['notifications.show']
     }
 };
 
+// External templates: directories or zips with a template.json, plus the sample plugins shipped with the repo
+const TEMPLATE_MANIFEST_FILE = 'template.json';
+const TEMPLATE_DIR = process.env.WINTOOL_TEMPLATE_DIR
+    ? path.resolve(process.env.WINTOOL_TEMPLATE_DIR)
+    : path.join(APP_DATA_DIR, 'MTechWare', 'WinTool', 'PluginTemplates');
+const BUILTIN_TEMPLATES = {
+    'developer-template': path.join(__dirname, '..', 'developer-template.zip'),
+    'quick-launcher': path.join(__dirname, '..', 'quick-launcher.zip'),
+    'system-uptime': path.join(__dirname, '..', 'system-uptime.zip')
+};
+const TEMPLATE_VARIABLES = ['name', 'id', 'author', 'description', 'version', 'icon'];
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Browser functions inline on*= handlers may call without the plugin defining them
+const INLINE_HANDLER_GLOBALS = ['alert', 'confirm', 'prompt', 'open', 'close', 'print', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'fetch', 'parseInt', 'parseFloat', 'Number', 'String', 'Boolean'];
+
 // Security sandbox configuration
 const SANDBOX_CONFIG = {
     allowedAPIs: [
@@ -77,6 +196,584 @@ const SANDBOX_CONFIG = {
     cspPolicy: "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline';"
 };
 
+// Security rules reported by the JavaScript analyzer
+const SECURITY_RULES = {
+    'no-eval': { severity: 'high', message: 'Use of eval() function detected' },
+    'no-function-constructor': { severity: 'high', message: 'Use of Function constructor detected' },
+    'no-implied-eval': { severity: 'high', message: 'String passed to setTimeout/setInterval is evaluated as code' },
+    'no-inner-html': { severity: 'medium', message: 'Direct innerHTML assignment detected' },
+    'no-document-write': { severity: 'medium', message: 'Use of document.write() detected' },
+    'no-location-assignment': { severity: 'medium', message: 'Direct location assignment detected' },
+    'no-direct-require': { severity: 'medium', message: 'Direct require() usage detected (use api.require instead)' },
+    'parse-error': { severity: 'medium', message: 'File could not be parsed, so it was not analyzed' },
+    'module-outside-plugin': { severity: 'high', message: 'Backend module is loaded from outside the plugin directory' },
+    'unresolved-module': { severity: 'low', message: 'Relative module could not be resolved' },
+    'suspicious-file-type': { severity: 'high', message: 'Executable or script file type does not belong in a plugin' },
+    'external-script': { severity: 'medium', message: 'Script loaded from an external origin' },
+    'external-resource': { severity: 'low', message: 'Resource loaded from an external origin' },
+    'inline-event-handler': { severity: 'low', message: 'Inline event handler attribute detected' },
+    'javascript-url': { severity: 'high', message: 'javascript: URL detected' },
+    'css-expression': { severity: 'high', message: 'Executable CSS (expression/behavior/binding) detected' },
+    'install-script': { severity: 'medium', message: 'package.json defines an npm install lifecycle script' },
+    'ps-invoke-expression': { severity: 'high', message: 'PowerShell Invoke-Expression executes arbitrary strings as code' },
+    'ps-encoded-command': { severity: 'high', message: 'PowerShell encoded command or base64 payload detected' },
+    'ps-download': { severity: 'medium', message: 'PowerShell script downloads content from the network' },
+    'ps-elevation': { severity: 'medium', message: 'PowerShell script requests elevation or changes execution policy' },
+    'ps-destructive': { severity: 'medium', message: 'PowerShell script performs a destructive file system or disk operation' }
+};
+
+// Built-in lint rules run by test, dev and lint; the checks and fixers live in PluginCLI
+const LINT_DOCS_URL = 'https://github.com/MTechWare/wintool/blob/main';
+const LINT_RULES = {
+    'no-dom-content-loaded': {
+        severity: 'high',
+        message: 'DOMContentLoaded has already fired when a plugin loads, so this handler never runs',
+        docs: `${LINT_DOCS_URL}/PLUGIN_BUTTON_GUIDE.md#2-proper-plugin-initialization-pattern`
+    },
+    'container-scoping': {
+        severity: 'high',
+        message: 'document.getElementById() searches outside the plugin; use container.querySelector()',
+        docs: `${LINT_DOCS_URL}/PLUGIN_BUTTON_GUIDE.md#1-container-based-element-selection`
+    },
+    'inline-handler-global': {
+        severity: 'high',
+        message: 'Function called from an inline on*= handler is not exposed on window',
+        docs: `${LINT_DOCS_URL}/PLUGIN_BUTTON_GUIDE.md#method-2-onclick-in-html`
+    },
+    'mark-tab-ready': {
+        severity: 'high',
+        message: 'No frontend script calls window.markTabAsReady(tabId) after initializing',
+        docs: `${LINT_DOCS_URL}/PLUGIN_BUTTON_GUIDE.md#-best-practices`
+    },
+    'backend-initialize': {
+        severity: 'high',
+        message: 'Backend does not export an initialize(api) function through module.exports',
+        docs: `${LINT_DOCS_URL}/README.md#backend-api-api-object`
+    },
+    'theme-variables': {
+        severity: 'low',
+        message: 'Stylesheet hard-codes colors without using any theme CSS variables',
+        docs: `${LINT_DOCS_URL}/README.md#code-quality`
+    }
+};
+// Workspace lint rule modules: every .js file in this folder of the working directory
+const LINT_RULES_DIR = 'wintool-rules';
+
+// Headless DOM tests run by test: plugin test modules (tests/*.test.js) and the time each test may take
+const DOM_TEST_DIR = 'tests';
+const DOM_TEST_PATTERN = /\.test\.js$/;
+const DOM_TEST_TIMEOUT = 5000;
+
+// Permissions a plugin can declare in plugin.json
+const PLUGIN_PERMISSIONS = {
+    'storage.read': 'Read from plugin storage',
+    'storage.write': 'Write to plugin storage',
+    'notifications.show': 'Display notifications',
+    'network.request': 'Make HTTP requests',
+    'fs.readUserFile': 'Access user-selected files',
+    'system.info': 'Access system information'
+};
+
+// API paths (as resolved by the analyzer) that require each permission
+const PERMISSION_RULES = [
+    { api: 'wintoolAPI.storage.get', permission: 'storage.read' },
+    { api: 'wintoolAPI.storage.set', permission: 'storage.write' },
+    { api: 'wintoolAPI.storage.remove', permission: 'storage.write' },
+    { api: 'wintoolAPI.storage.delete', permission: 'storage.write' },
+    { api: 'wintoolAPI.showNotification', permission: 'notifications.show' },
+    { api: 'wintoolAPI.notifications.show', permission: 'notifications.show' },
+    { api: 'wintoolAPI.getSystemInfo', permission: 'system.info' },
+    { api: 'wintoolAPI.dialog.showOpenDialog', permission: 'fs.readUserFile' },
+    { api: 'wintoolAPI.dialog.showSaveDialog', permission: 'fs.readUserFile' },
+    { api: 'api.getStore().get', permission: 'storage.read' },
+    { api: 'api.getStore().has', permission: 'storage.read' },
+    { api: 'api.getStore().store', permission: 'storage.read' },
+    { api: 'api.getStore().set', permission: 'storage.write' },
+    { api: 'api.getStore().delete', permission: 'storage.write' },
+    { api: 'api.getStore().clear', permission: 'storage.write' },
+    { api: 'api.axios', permission: 'network.request' },
+    { api: 'api.dialog.showOpenDialog', permission: 'fs.readUserFile' },
+    { api: 'api.dialog.showSaveDialog', permission: 'fs.readUserFile' },
+    { api: 'fetch', permission: 'network.request' },
+    { api: 'XMLHttpRequest', permission: 'network.request' },
+    { api: 'WebSocket', permission: 'network.request' },
+    { api: 'EventSource', permission: 'network.request' }
+];
+
+// How each file in a plugin is analyzed, by extension
+const SCAN_FILE_TYPES = {
+    '.js': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.html': 'html',
+    '.htm': 'html',
+    '.css': 'css',
+    '.json': 'json',
+    '.ps1': 'powershell',
+    '.psm1': 'powershell'
+};
+
+const POWERSHELL_PATTERNS = [
+    { ruleId: 'ps-invoke-expression', pattern: /\b(Invoke-Expression|iex)\b/gi },
+    { ruleId: 'ps-encoded-command', pattern: /-(EncodedCommand|enc|ec)\s+[A-Za-z0-9+/=]{16,}|FromBase64String/gi },
+    { ruleId: 'ps-download', pattern: /\b(Net\.WebClient|DownloadString|DownloadFile|Invoke-WebRequest|Invoke-RestMethod|Start-BitsTransfer|iwr|irm)\b/gi },
+    { ruleId: 'ps-elevation', pattern: /-Verb\s+RunAs\b|\bSet-ExecutionPolicy\b/gi },
+    { ruleId: 'ps-destructive', pattern: /\bRemove-Item\b[^\n]*-Recurse[^\n]*-Force|\bRemove-Item\b[^\n]*-Force[^\n]*-Recurse|\b(Format-Volume|Clear-Disk|Remove-Partition)\b/gi }
+];
+
+// Names that refer to the global object in browser and Node contexts
+const GLOBAL_OBJECT_NAMES = ['window', 'globalThis', 'self', 'global', 'top', 'parent', 'frames'];
+
+/**
+ * Scope-aware static analyzer for plugin JavaScript.
+ * Resolves identifiers through their scopes so shadowed names are ignored and
+ * aliases (const e = eval; window['ev' + 'al']) are followed back to the global.
+ */
+class JavaScriptAnalyzer {
+    constructor(code, file, options = {}) {
+        this.code = code;
+        this.file = file;
+        this.lineOffset = options.lineOffset || 0;
+        this.sourceType = options.sourceType || 'script';
+        this.allowRelativeRequire = options.allowRelativeRequire || false;
+        this.lines = code.split(/\r?\n/);
+        this.findings = [];
+        this.dependencies = [];
+        this.usages = [];
+    }
+
+    analyze() {
+        const acorn = require('acorn');
+
+        try {
+            this.ast = this.parse(acorn, this.sourceType);
+        } catch (error) {
+            try {
+                // Fall back to the other source type before giving up
+                this.sourceType = this.sourceType === 'script' ? 'module' : 'script';
+                this.ast = this.parse(acorn, this.sourceType);
+            } catch (e) {
+                const line = error.loc ? error.loc.line : 1;
+                const column = error.loc ? error.loc.column : 0;
+                this.report('parse-error', { loc: { start: { line, column } } }, `${SECURITY_RULES['parse-error'].message}: ${error.message}`);
+                return { findings: this.findings, dependencies: this.dependencies, usages: this.usages };
+            }
+        }
+
+        this.buildScopes();
+        this.walk();
+
+        return { findings: this.findings, dependencies: this.dependencies, usages: this.usages };
+    }
+
+    parse(acorn, sourceType) {
+        return acorn.parse(this.code, {
+            ecmaVersion: 'latest',
+            sourceType,
+            locations: true,
+            ranges: true,
+            allowHashBang: true,
+            allowReturnOutsideFunction: sourceType === 'script'
+        });
+    }
+
+    buildScopes() {
+        const eslintScope = require('eslint-scope');
+        this.scopeManager = eslintScope.analyze(this.ast, {
+            ecmaVersion: 2022,
+            sourceType: this.sourceType,
+            fallback: 'iteration'
+        });
+
+        // Map each identifier node to the reference eslint-scope created for it
+        this.references = new Map();
+        for (const scope of this.scopeManager.scopes) {
+            for (const reference of scope.references) {
+                this.references.set(reference.identifier, reference);
+            }
+        }
+    }
+
+    walk() {
+        this.parents = new Map();
+        const nodes = [];
+
+        // Generic traversal so every node (including patterns) gets a parent link
+        const visit = (node, parent) => {
+            if (parent) {
+                this.parents.set(node, parent);
+            }
+            nodes.push(node);
+
+            for (const key of Object.keys(node)) {
+                if (key === 'loc' || key === 'range') {
+                    continue;
+                }
+                const value = node[key];
+                const children = Array.isArray(value) ? value : [value];
+                for (const child of children) {
+                    if (child && typeof child.type === 'string') {
+                        visit(child, node);
+                    }
+                }
+            }
+        };
+        visit(this.ast, null);
+
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'CallExpression':
+                    this.checkCall(node);
+                    this.recordUsage(node.callee);
+                    break;
+                case 'NewExpression':
+                    this.checkNew(node);
+                    this.recordUsage(node.callee);
+                    break;
+                case 'MemberExpression':
+                    if (this.isOutermostMember(node)) {
+                        this.recordUsage(node);
+                    }
+                    break;
+                case 'AssignmentExpression':
+                    this.checkAssignment(node);
+                    break;
+                case 'ImportDeclaration':
+                case 'ExportNamedDeclaration':
+                case 'ExportAllDeclaration':
+                case 'ImportExpression':
+                    if (node.source) {
+                        this.addDependency(node.source, node);
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+    }
+
+    // Member chains that are called are recorded from the call, so only bare chains count here
+    isOutermostMember(node) {
+        const parent = this.parents.get(node);
+        if (!parent) {
+            return true;
+        }
+        if (parent.type === 'MemberExpression' && parent.object === node) {
+            return false;
+        }
+        return !((parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.callee === node);
+    }
+
+    // Record the global API path an expression refers to, e.g. "wintoolAPI.storage.set"
+    recordUsage(node) {
+        if (node.type !== 'Identifier' && node.type !== 'MemberExpression') {
+            return;
+        }
+
+        const apiPath = this.resolveGlobal(node);
+        if (apiPath) {
+            this.usages.push({
+                path: apiPath,
+                line: node.loc.start.line + this.lineOffset,
+                column: node.loc.start.column + 1
+            });
+        }
+    }
+
+    addDependency(sourceNode, node) {
+        const specifier = this.getStaticValue(sourceNode);
+        if (specifier !== null) {
+            this.dependencies.push({
+                specifier,
+                line: node.loc.start.line + this.lineOffset,
+                column: node.loc.start.column + 1
+            });
+        }
+        return specifier;
+    }
+
+    checkCall(node) {
+        // eval.call(null, code), Function.apply(null, args) and eval.bind(null)(code) call the
+        // function they are chained on, so check that one with the arguments it receives
+        let callee = node.callee;
+        let args = node.arguments;
+        for (;;) {
+            if (callee.type === 'MemberExpression' && this.getPropertyName(callee) === 'call') {
+                args = args.slice(1);
+            } else if (callee.type === 'MemberExpression' && this.getPropertyName(callee) === 'apply') {
+                args = args.length > 1 && args[1].type === 'ArrayExpression' ? args[1].elements.filter(Boolean) : [];
+            } else if (callee.type === 'CallExpression' && callee.callee.type === 'MemberExpression' && this.getPropertyName(callee.callee) === 'bind') {
+                args = [...callee.arguments.slice(1), ...args];
+                callee = callee.callee;
+            } else {
+                break;
+            }
+            callee = callee.object;
+        }
+
+        // fn.constructor('code') and x.constructor.constructor('code') reach the Function constructor
+        if (this.isConstructorAccess(callee)) {
+            this.report('no-function-constructor', node);
+            return;
+        }
+
+        switch (this.resolveGlobal(callee)) {
+            case 'eval':
+                this.report('no-eval', node);
+                break;
+            case 'Function':
+                this.report('no-function-constructor', node);
+                break;
+            case 'setTimeout':
+            case 'setInterval':
+                if (args.length > 0 && this.isStringExpression(args[0])) {
+                    this.report('no-implied-eval', node);
+                }
+                break;
+            case 'document.write':
+            case 'document.writeln':
+                this.report('no-document-write', node);
+                break;
+            case 'require': {
+                const specifier = args.length > 0 ? this.addDependency(args[0], node) : null;
+                const isRelative = specifier !== null && /^\.\.?(\/|$)/.test(specifier);
+                if (!(this.allowRelativeRequire && isRelative)) {
+                    this.report('no-direct-require', node);
+                }
+                break;
+            }
+            default:
+                if (callee.type === 'MemberExpression' && this.getPropertyName(callee) === 'insertAdjacentHTML') {
+                    this.report('no-inner-html', node, 'Use of insertAdjacentHTML() detected');
+                }
+                break;
+        }
+    }
+
+    checkNew(node) {
+        if (this.resolveGlobal(node.callee) === 'Function' || this.isConstructorAccess(node.callee)) {
+            this.report('no-function-constructor', node);
+        }
+    }
+
+    isConstructorAccess(node) {
+        return node.type === 'MemberExpression' && this.getPropertyName(node) === 'constructor';
+    }
+
+    checkAssignment(node) {
+        const left = node.left;
+
+        if (left.type === 'MemberExpression' && ['innerHTML', 'outerHTML'].includes(this.getPropertyName(left))) {
+            this.report('no-inner-html', node);
+            return;
+        }
+
+        const target = this.resolveGlobal(left);
+        if (['location', 'location.href', 'document.location', 'document.location.href'].includes(target)) {
+            this.report('no-location-assignment', node);
+        }
+    }
+
+    /**
+     * Resolve an expression to the global it refers to, e.g. "eval" or "document.write".
+     * Returns null when the expression is local or cannot be determined statically.
+     */
+    resolveGlobal(node, seen = new Set()) {
+        if (!node || seen.has(node)) {
+            return null;
+        }
+        seen.add(node);
+
+        switch (node.type) {
+            case 'Identifier': {
+                const variable = this.findVariable(node);
+                if (!variable) {
+                    return GLOBAL_OBJECT_NAMES.includes(node.name) ? 'window' : node.name;
+                }
+                if (this.isBackendAPIParameter(variable)) {
+                    return 'api';
+                }
+                return this.resolveAlias(variable, seen);
+            }
+            case 'MemberExpression': {
+                const base = this.resolveGlobal(node.object, seen);
+                const key = this.getPropertyName(node);
+                if (!base || key === null) {
+                    return null;
+                }
+                if (base === 'window') {
+                    return GLOBAL_OBJECT_NAMES.includes(key) ? 'window' : key;
+                }
+                return `${base}.${key}`;
+            }
+            case 'CallExpression': {
+                // Results of known calls, e.g. (await api.getStore()).set
+                const callee = this.resolveGlobal(node.callee, seen);
+                return callee && !callee.includes('()') ? `${callee}()` : null;
+            }
+            case 'AwaitExpression':
+                return this.resolveGlobal(node.argument, seen);
+            case 'SequenceExpression':
+                return this.resolveGlobal(node.expressions[node.expressions.length - 1], seen);
+            case 'ParenthesizedExpression':
+                return this.resolveGlobal(node.expression, seen);
+            default:
+                return null;
+        }
+    }
+
+    // The first parameter of a backend initialize(api) function, or any parameter named api
+    isBackendAPIParameter(variable) {
+        const def = variable.defs[0];
+        if (!def || def.type !== 'Parameter' || def.name.type !== 'Identifier') {
+            return false;
+        }
+        if (variable.name === 'api') {
+            return true;
+        }
+
+        const fn = def.node;
+        if (fn.params[0] !== def.name) {
+            return false;
+        }
+
+        const parent = this.parents.get(fn);
+        const name = (fn.id && fn.id.name) ||
+            (parent && parent.type === 'Property' && this.getStaticKey(parent)) ||
+            (parent && parent.type === 'VariableDeclarator' && parent.id.name) ||
+            (parent && parent.type === 'AssignmentExpression' && parent.left.type === 'MemberExpression' && this.getPropertyName(parent.left));
+
+        return name === 'initialize';
+    }
+
+    // Follow every value written to a local variable back to a global
+    resolveAlias(variable, seen) {
+        for (const reference of variable.references) {
+            if (!reference.writeExpr) {
+                continue;
+            }
+
+            const parent = this.parents.get(reference.identifier);
+            if (parent && parent.type === 'Property' && parent.value === reference.identifier) {
+                // const { eval: e } = window
+                const pattern = this.parents.get(parent);
+                const base = pattern && pattern.type === 'ObjectPattern' ? this.resolveGlobal(reference.writeExpr, seen) : null;
+                const key = this.getStaticKey(parent);
+                if (base && key !== null) {
+                    return base === 'window' ? key : `${base}.${key}`;
+                }
+                continue;
+            }
+
+            if (reference.identifier.type === 'Identifier') {
+                const target = this.resolveGlobal(reference.writeExpr, seen);
+                if (target) {
+                    return target;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    findVariable(identifier) {
+        const reference = this.references.get(identifier);
+        let scope = reference ? reference.from : this.scopeManager.globalScope;
+
+        while (scope) {
+            if (scope.set.has(identifier.name)) {
+                return scope.set.get(identifier.name);
+            }
+            scope = scope.upper;
+        }
+
+        return null;
+    }
+
+    getPropertyName(member) {
+        if (!member.computed) {
+            return member.property.type === 'Identifier' ? member.property.name : null;
+        }
+        return this.getStaticValue(member.property);
+    }
+
+    getStaticKey(property) {
+        if (!property.computed && property.key.type === 'Identifier') {
+            return property.key.name;
+        }
+        return this.getStaticValue(property.key);
+    }
+
+    // Fold constant string expressions such as 'ev' + 'al' or ['ev', 'al'].join('')
+    getStaticValue(node, seen = new Set()) {
+        if (!node || seen.has(node)) {
+            return null;
+        }
+        seen.add(node);
+
+        switch (node.type) {
+            case 'Literal':
+                return typeof node.value === 'string' || typeof node.value === 'number' ? String(node.value) : null;
+            case 'TemplateLiteral':
+                if (node.expressions.length === 0) {
+                    return node.quasis[0].value.cooked;
+                }
+                return null;
+            case 'BinaryExpression': {
+                if (node.operator !== '+') {
+                    return null;
+                }
+                const left = this.getStaticValue(node.left, seen);
+                const right = this.getStaticValue(node.right, seen);
+                return left !== null && right !== null ? left + right : null;
+            }
+            case 'Identifier': {
+                const variable = this.findVariable(node);
+                const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+                if (def && def.type === 'Variable' && def.parent.kind === 'const' && def.node.id === def.name) {
+                    return this.getStaticValue(def.node.init, seen);
+                }
+                return null;
+            }
+            case 'CallExpression': {
+                const callee = node.callee;
+                if (callee.type === 'MemberExpression' && callee.object.type === 'ArrayExpression' && this.getPropertyName(callee) === 'join') {
+                    const parts = callee.object.elements.map(element => this.getStaticValue(element, seen));
+                    const separator = node.arguments.length > 0 ? this.getStaticValue(node.arguments[0], seen) : ',';
+                    if (separator !== null && parts.every(part => part !== null)) {
+                        return parts.join(separator);
+                    }
+                }
+                return null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    isStringExpression(node) {
+        return (node.type === 'Literal' && typeof node.value === 'string') ||
+            node.type === 'TemplateLiteral' ||
+            (node.type === 'BinaryExpression' && node.operator === '+' &&
+                (this.isStringExpression(node.left) || this.isStringExpression(node.right)));
+    }
+
+    report(ruleId, node, message) {
+        const rule = SECURITY_RULES[ruleId];
+        const line = node.loc.start.line;
+
+        this.findings.push({
+            ruleId,
+            severity: rule.severity,
+            message: message || rule.message,
+            file: this.file,
+            line: line + this.lineOffset,
+            column: node.loc.start.column + 1,
+            snippet: (this.lines[line - 1] || '').trim().slice(0, 160)
+        });
+    }
+}
+
 class PluginCLI {
     constructor() {
         this.commands = {
@@ -84,8 +781,28 @@ class PluginCLI {
             validate: this.validatePlugin.bind(this),
             build: this.buildPlugin.bind(this),
             test: this.testPlugin.bind(this),
+            lint: this.lintPlugin.bind(this),
             security: this.securityScan.bind(this),
             list: this.listPlugins.bind(this),
+            dev: this.devPlugin.bind(this),
+            invoke: this.invokeHandler.bind(this),
+            permissions: this.managePermissions.bind(this),
+            templates: this.manageTemplates.bind(this),
+            rename: this.renamePlugin.bind(this),
+            fix: this.fixPlugin.bind(this),
+            audit: this.auditDependencies.bind(this),
+            inspect: this.inspectPackage.bind(this),
+            diff: this.diffPlugins.bind(this),
+            publish: this.publishPlugin.bind(this),
+            search: this.searchRegistry.bind(this),
+            outdated: this.checkOutdated.bind(this),
+            install: this.installPlugin.bind(this),
+            uninstall: this.uninstallPlugin.bind(this),
+            upgrade: this.upgradePlugin.bind(this),
+            rollback: this.rollbackPlugin.bind(this),
+            keygen: this.generateSigningKeys.bind(this),
+            sign: this.signPackage.bind(this),
+            verify: this.verifyPackage.bind(this),
             help: this.showHelp.bind(this),
             version: this.showVersion.bind(this)
         };
@@ -97,9 +814,17 @@ class PluginCLI {
 
         if (this.commands[command]) {
             try {
-                await this.commands[command](commandArgs);
+                // Commands return false when a check fails, so CI sees a non-zero exit code
+                const result = await this.commands[command](commandArgs);
+                if (result === false) {
+                    process.exitCode = 1;
+                }
             } catch (error) {
                 log.error(`Command failed: ${error.message}`);
+                // Unsafe archives list every problem, not just the first
+                if (error.problems && error.problems.length > 1) {
+                    error.problems.forEach(problem => log.error(`  • ${problem.code}: ${problem.message}`));
+                }
                 process.exit(1);
             }
         } else {
@@ -113,10 +838,35 @@ class PluginCLI {
         log.title('🚀 WinTool Plugin Generator');
         
         const options = this.parseCreateArgs(args);
-        
+
+        // No name, or --interactive, starts the wizard; --yes keeps it non-interactive for scripts
+        if ((options.interactive || !options.name) && !options.yes) {
+            if (!(await this.runCreateWizard(options))) {
+                log.info('Cancelled; nothing was created');
+                return;
+            }
+        }
+
         if (!options.name) {
             log.error('Plugin name is required. Use: create <plugin-name> [options]');
-            return;
+            return false;
+        }
+
+        // Every generated identifier (data-tab, handler names, storage keys, package name) uses the id
+        options.id = options.id || this.toPluginSlug(options.name);
+
+        const problems = [];
+        for (const field of ['name', 'id', 'version', 'author', 'description', 'icon', 'permissions']) {
+            if (options[field] !== null && options[field] !== undefined) {
+                const error = await this.validateCreateOption(field, options[field], options);
+                if (error) {
+                    problems.push(`${field}: ${error}`);
+                }
+            }
+        }
+        if (problems.length > 0) {
+            problems.forEach(problem => log.error(problem));
+            return false;
         }
 
         const pluginPath = path.join(options.dev ? DEV_PLUGIN_DIR : PLUGIN_DIR, options.name);
@@ -130,13 +880,17 @@ class PluginCLI {
             // Plugin doesn't exist, which is good
         }
 
-        log.info(`Creating ${options.type} plugin: ${options.name}`);
+        log.info(`Creating ${options.template ? 'plugin from template' : `${options.type} plugin`}: ${options.name}`);
         log.info(`Location: ${pluginPath}`);
 
-        await this.generatePluginFiles(pluginPath, options);
-        
-        if (options.type === 'advanced') {
-            await this.installDependencies(pluginPath);
+        if (options.template) {
+            await this.createFromTemplate(pluginPath, options);
+        } else {
+            await this.generatePluginFiles(pluginPath, options);
+
+            if (options.type === 'advanced') {
+                await this.installDependencies(pluginPath);
+            }
         }
 
         log.success(`Plugin "${options.name}" created successfully!`);
@@ -149,17 +903,22 @@ class PluginCLI {
 
     parseCreateArgs(args) {
         const options = {
-            name: args[0],
+            name: args.find(arg => !arg.startsWith('-')),
+            id: null,
             type: 'basic',
-            author: 'Unknown',
+            author: this.getGitAuthor() || 'Unknown',
             description: 'A WinTool plugin',
             version: '1.0.0',
             icon: 'fas fa-cog',
+            permissions: null,
+            template: null,
+            variables: {},
+            interactive: false,
+            yes: false,
             dev: false
         };
 
-        for (let i = 1; i < args.length; i++) {
-            const arg = args[i];
+        for (const arg of args) {
             if (arg.startsWith('--type=')) {
                 options.type = arg.split('=')[1];
             } else if (arg.startsWith('--author=')) {
@@ -170,6 +929,20 @@ class PluginCLI {
                 options.version = arg.split('=')[1];
             } else if (arg.startsWith('--icon=')) {
                 options.icon = arg.split('=')[1];
+            } else if (arg.startsWith('--id=')) {
+                options.id = arg.slice('--id='.length);
+            } else if (arg.startsWith('--permissions=')) {
+                options.permissions = this.parsePermissionList(arg.slice('--permissions='.length));
+            } else if (arg === '--interactive') {
+                options.interactive = true;
+            } else if (arg === '--yes' || arg === '-y') {
+                options.yes = true;
+            } else if (arg.startsWith('--template=')) {
+                options.template = arg.slice('--template='.length);
+            } else if (arg.startsWith('--var=')) {
+                // --var=key=value; the value may itself contain "="
+                const [key, ...value] = arg.slice('--var='.length).split('=');
+                options.variables[key] = value.join('=');
             } else if (arg === '--dev') {
                 options.dev = true;
             }
@@ -183,58 +956,551 @@ class PluginCLI {
         return options;
     }
 
-    async generatePluginFiles(pluginPath, options) {
-        await fs.mkdir(pluginPath, { recursive: true });
+    parseCommandArgs(args) {
+        const parsed = {
+            positionals: [],
+            flags: {}
+        };
 
-        const templateType = PLUGIN_TYPES[options.type];
-        
-        for (const fileName of templateType.files) {
-            const content = await this.generateFileContent(fileName, options);
-            await fs.writeFile(path.join(pluginPath, fileName), content);
-            log.info(`Generated: ${fileName}`);
+        for (const arg of args) {
+            if (arg.startsWith('--')) {
+                const separator = arg.indexOf('=');
+                if (separator === -1) {
+                    parsed.flags[arg.slice(2)] = true;
+                } else {
+                    parsed.flags[arg.slice(2, separator)] = arg.slice(separator + 1);
+                }
+            } else {
+                parsed.positionals.push(arg);
+            }
         }
+
+        return parsed;
     }
 
-    async generateFileContent(fileName, options) {
-        switch (fileName) {
-            case 'plugin.json':
-                return this.generatePluginManifest(options);
-            case 'index.html':
-                return this.generateIndexHTML(options);
-            case 'script.js':
-                return this.generateScriptJS(options);
-            case 'styles.css':
-                return this.generateStylesCSS(options);
-            case 'backend.js':
-                return this.generateBackendJS(options);
-            case 'package.json':
-                return this.generatePackageJSON(options);
-            default:
-                return '';
+    async manageTemplates(args) {
+        const { positionals } = this.parseCommandArgs(args);
+        const subcommand = positionals[0] || 'list';
+
+        log.title('🧩 Plugin Templates');
+
+        if (subcommand !== 'list') {
+            log.error(`Unknown templates subcommand: ${subcommand}. Use: templates list`);
+            return false;
+        }
+
+        log.subtitle('Generators (create --type=<type>):');
+        for (const [type, template] of Object.entries(PLUGIN_TYPES)) {
+            console.log(`  ${colors.cyan}${type.padEnd(20)}${colors.reset} ${template.description}`);
+        }
+        console.log('');
+
+        const templates = await this.discoverTemplates();
+        const groups = [
+            ['Built-in templates (create --template=<name>):', templates.filter(template => template.builtIn)],
+            [`Installed templates (${TEMPLATE_DIR}):`, templates.filter(template => !template.builtIn)]
+        ];
+
+        for (const [title, entries] of groups) {
+            log.subtitle(title);
+            if (entries.length === 0) {
+                log.info('  None');
+            }
+            for (const template of entries) {
+                console.log(`  ${colors.cyan}${template.name.padEnd(20)}${colors.reset} ${template.description || 'No description'}`);
+                console.log(`  ${' '.repeat(20)} ${template.source}`);
+            }
+            console.log('');
         }
+
+        log.info('Any directory or zip with a template.json can also be used: create <name> --template=<path>');
+        return true;
     }
 
-    generatePluginManifest(options) {
-        const manifest = {
-            name: options.name,
-            description: options.description,
-            version: options.version,
-            author: options.author,
-            icon: options.icon
-        };
+    // Built-in sample plugins that exist on disk, then every directory or zip in TEMPLATE_DIR
+    async discoverTemplates() {
+        const templates = [];
 
-        if (options.type === 'advanced') {
-            manifest.backend = 'backend.js';
+        for (const [name, source] of Object.entries(BUILTIN_TEMPLATES)) {
+            if (await this.pathExists(source)) {
+                const template = await this.loadTemplate(source);
+                templates.push({ name, description: template.description, source, builtIn: true });
+            }
         }
 
-        return JSON.stringify(manifest, null, 2);
-    }
+        let entries = [];
+        try {
+            entries = await fs.readdir(TEMPLATE_DIR, { withFileTypes: true });
+        } catch (e) {
+            return templates;
+        }
 
-    generateIndexHTML(options) {
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const source = path.join(TEMPLATE_DIR, entry.name);
+            if (!entry.isDirectory() && !this.isArchivePath(source)) {
+                continue;
+            }
+
+            try {
+                const template = await this.loadTemplate(source);
+                templates.push({ name: template.name, description: template.description, source, builtIn: false });
+            } catch (error) {
+                log.warning(`Skipping template ${source}: ${error.message}`);
+            }
+        }
+
+        return templates;
+    }
+
+    async resolveTemplate(nameOrPath) {
+        if (await this.pathExists(nameOrPath)) {
+            return path.resolve(nameOrPath);
+        }
+
+        const match = (await this.discoverTemplates()).find(template => template.name === nameOrPath);
+        if (!match) {
+            throw new Error(`Unknown template "${nameOrPath}". Run "wintool-plugin-cli templates list" to see the available templates`);
+        }
+        return match.source;
+    }
+
+    /**
+     * Loads a template directory or zip. Sample plugins without a template.json are
+     * turned into templates by replacing their name, id and icon with placeholders.
+     */
+    async loadTemplate(source) {
+        const { files, folderName } = await this.loadPluginSource(source);
+
+        // Dependencies and leftover development files are never part of a new plugin
+        for (const file of [...files.keys()]) {
+            if (file.startsWith('node_modules/') || PRODUCTION_EXCLUDED_FILES.some(pattern => pattern.test(path.posix.basename(file)))) {
+                files.delete(file);
+            }
+        }
+
+        if (files.has(TEMPLATE_MANIFEST_FILE)) {
+            let definition;
+            try {
+                definition = JSON.parse(files.get(TEMPLATE_MANIFEST_FILE).toString('utf8'));
+            } catch (error) {
+                throw new Error(`Invalid ${TEMPLATE_MANIFEST_FILE}: ${error.message}`);
+            }
+            files.delete(TEMPLATE_MANIFEST_FILE);
+
+            const variables = definition.variables || {};
+            if (typeof variables !== 'object' || Array.isArray(variables)) {
+                throw new Error(`Invalid ${TEMPLATE_MANIFEST_FILE}: "variables" must be an object`);
+            }
+            if (definition.files !== undefined &&
+                (!Array.isArray(definition.files) || definition.files.some(pattern => typeof pattern !== 'string'))) {
+                throw new Error(`Invalid ${TEMPLATE_MANIFEST_FILE}: "files" must be an array of glob patterns`);
+            }
+
+            if (definition.files) {
+                for (const file of [...files.keys()]) {
+                    if (!definition.files.some(pattern => this.matchesGlob(file, pattern))) {
+                        files.delete(file);
+                    }
+                }
+            }
+
+            return {
+                name: definition.name || folderName,
+                description: definition.description,
+                variables,
+                files,
+                inferred: false
+            };
+        }
+
+        const manifest = this.parsePackageManifest(files);
+        if (!manifest) {
+            throw new Error(`${source} has neither a ${TEMPLATE_MANIFEST_FILE} nor a plugin.json`);
+        }
+
+        // Longest values first so "my-plugin-pro" is replaced before "my-plugin"
+        const replacements = [
+            [manifest.id || this.toPluginSlug(manifest.name || folderName), '{{id}}'],
+            [manifest.icon, '{{icon}}']
+        ].filter(([value]) => typeof value === 'string' && value.length > 0)
+            .sort((a, b) => b[0].length - a[0].length);
+
+        // The display name also appears in prose ("Current System Uptime"), so it is only
+        // replaced where it is the whole text of a <title> or heading (icons before it allowed)
+        const escapedName = typeof manifest.name === 'string' ? manifest.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : '';
+        const namePattern = escapedName
+            ? new RegExp(`(<(title|h[1-6])\\b[^>]*>(?:\\s*<[a-z][^>]*>\\s*</[a-z]+>)*\\s*)${escapedName}(\\s*</\\2\\s*>)`, 'gi')
+            : null;
+
+        for (const [file, content] of files) {
+            if (!content.includes(0)) {
+                let text = replacements.reduce((result, [value, placeholder]) => result.split(value).join(placeholder), content.toString('utf8'));
+                if (namePattern && /\.html?$/i.test(file)) {
+                    text = text.replace(namePattern, '$1{{name}}$3');
+                }
+                files.set(file, Buffer.from(text, 'utf8'));
+            }
+        }
+
+        const templateManifest = {
+            manifestVersion: MANIFEST_VERSION,
+            ...manifest,
+            id: '{{id}}',
+            name: '{{name}}',
+            version: '{{version}}',
+            description: '{{description}}',
+            author: '{{author}}',
+            icon: '{{icon}}'
+        };
+        files.set('plugin.json', Buffer.from(JSON.stringify(templateManifest, null, 2) + '\n'));
+
+        if (files.has('package.json')) {
+            try {
+                const packageJson = JSON.parse(files.get('package.json').toString('utf8'));
+                Object.assign(packageJson, { name: '{{id}}', version: '{{version}}', description: '{{description}}', author: '{{author}}' });
+                files.set('package.json', Buffer.from(JSON.stringify(packageJson, null, 2) + '\n'));
+            } catch (e) {
+                // Left as-is; validation reports it after creation
+            }
+        }
+
+        return {
+            name: folderName,
+            description: manifest.description,
+            variables: {},
+            files,
+            inferred: true
+        };
+    }
+
+    /**
+     * Values for every placeholder: the standard create options plus the template's own
+     * variables, taken from --var=key=value, their default or an interactive prompt.
+     */
+    async collectTemplateValues(template, options) {
+        const values = {
+            name: options.name,
+            id: options.id,
+            author: options.author,
+            description: options.description,
+            version: options.version,
+            icon: options.icon
+        };
+
+        for (const [key, spec] of Object.entries(template.variables)) {
+            if (TEMPLATE_VARIABLES.includes(key)) {
+                continue;
+            }
+
+            const variable = spec && typeof spec === 'object' ? spec : { default: spec };
+            let value = options.variables[key];
+
+            if (value === undefined && variable.default !== undefined) {
+                value = this.renderTemplateString(String(variable.default), values).text;
+            }
+            if (value === undefined && process.stdin.isTTY) {
+                value = await this.prompt(variable.prompt || key);
+            }
+            if (value === undefined || value === '') {
+                if (variable.required === false) {
+                    value = '';
+                } else {
+                    throw new Error(`Template variable "${key}" needs a value. Use --var=${key}=<value>`);
+                }
+            }
+            if (variable.pattern && !new RegExp(variable.pattern).test(value)) {
+                throw new Error(`Template variable "${key}" must match ${variable.pattern}, got "${value}"`);
+            }
+
+            values[key] = value;
+        }
+
+        return values;
+    }
+
+    renderTemplateString(text, values, escape = value => value) {
+        const unknown = new Set();
+        const rendered = text.replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, key) => {
+            if (values[key] === undefined) {
+                unknown.add(key);
+                return match;
+            }
+            return escape(String(values[key]));
+        });
+
+        return { text: rendered, unknown };
+    }
+
+    // Placeholders are filled in file paths and in every text file; binary files are copied as-is
+    renderTemplate(template, values) {
+        const files = new Map();
+        const unknown = new Set();
+
+        for (const [file, content] of template.files) {
+            const target = this.renderTemplateString(file, values);
+            target.unknown.forEach(key => unknown.add(key));
+
+            if (content.includes(0)) {
+                files.set(target.text, content);
+                continue;
+            }
+
+            // Values land inside JSON strings in .json files, so quotes and backslashes are escaped there
+            const escape = target.text.endsWith('.json') ? value => JSON.stringify(value).slice(1, -1) : undefined;
+            const rendered = this.renderTemplateString(content.toString('utf8'), values, escape);
+            rendered.unknown.forEach(key => unknown.add(key));
+            files.set(target.text, Buffer.from(rendered.text, 'utf8'));
+        }
+
+        return { files, unknown: [...unknown] };
+    }
+
+    async createFromTemplate(pluginPath, options) {
+        const source = await this.resolveTemplate(options.template);
+        const template = await this.loadTemplate(source);
+        let values;
+        try {
+            values = await this.collectTemplateValues(template, options);
+        } finally {
+            this.closePrompt();
+        }
+        const { files, unknown } = this.renderTemplate(template, values);
+
+        log.info(`Template: ${template.name} (${source})`);
+        unknown.forEach(key => log.warning(`Template placeholder {{${key}}} has no value and was left as-is`));
+
+        for (const [file, content] of files) {
+            const filePath = path.join(pluginPath, ...file.split('/'));
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, content);
+            log.info(`Generated: ${file}`);
+        }
+
+        // --permissions wins; sample plugins predate the permission list, so they get what their code uses
+        if (template.inferred || options.permissions) {
+            const manifestPath = path.join(pluginPath, 'plugin.json');
+            const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+            manifest.permissions = options.permissions || [...(await this.inferPermissions(pluginPath, manifest)).keys()];
+            await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+        }
+
+        if (files.has('package.json')) {
+            const packageJson = JSON.parse(files.get('package.json').toString('utf8'));
+            if (Object.keys(packageJson.dependencies || {}).length > 0) {
+                await this.installDependencies(pluginPath);
+            }
+        }
+    }
+
+    // Reads answers line by line so piped input works as well as a terminal
+    async prompt(question, defaultValue) {
+        if (!this.promptSession) {
+            const readline = require('readline');
+            const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+            this.promptSession = { rl, lines: rl[Symbol.asyncIterator]() };
+        }
+
+        const suffix = defaultValue ? ` ${colors.cyan}(${defaultValue})${colors.reset}` : '';
+        process.stdout.write(`${question}${suffix}: `);
+
+        const { value, done } = await this.promptSession.lines.next();
+        if (done) {
+            process.stdout.write('\n');
+            this.closePrompt();
+            throw new Error('Input ended before every question was answered (use --yes to accept the defaults)');
+        }
+        // A terminal echoes what was typed; piped answers are echoed here so the transcript reads the same
+        if (!process.stdin.isTTY) {
+            process.stdout.write(`${value}\n`);
+        }
+        return value.trim() || defaultValue;
+    }
+
+    closePrompt() {
+        if (this.promptSession) {
+            this.promptSession.rl.close();
+            this.promptSession = null;
+        }
+    }
+
+    /**
+     * Asks for every create option in turn, re-asking until each answer is valid,
+     * then shows a summary. Returns false when the user cancels.
+     */
+    async runCreateWizard(options) {
+        const ask = async (field, question, defaultValue) => {
+            while (true) {
+                const answer = await this.prompt(question, defaultValue);
+                const error = await this.validateCreateOption(field, answer === undefined ? '' : answer, options);
+                if (!error) {
+                    return answer;
+                }
+                log.error(`  ${error}`);
+            }
+        };
+
+        try {
+            log.subtitle('New plugin (press Enter to accept the value in brackets):');
+
+            options.name = await ask('name', 'Name', options.name);
+            options.id = await ask('id', 'Id', options.id || this.toPluginSlug(options.name));
+
+            const templates = (await this.discoverTemplates()).map(template => template.name);
+            log.info(`  Types: ${Object.keys(PLUGIN_TYPES).join(', ')}${templates.length > 0 ? `; templates: ${templates.join(', ')}` : ''} (or a template path)`);
+            const kind = await ask('kind', 'Type or template', options.template || options.type);
+            if (PLUGIN_TYPES[kind]) {
+                options.type = kind;
+                options.template = null;
+            } else {
+                options.template = kind;
+            }
+
+            options.author = await ask('author', 'Author', options.author);
+            options.description = await ask('description', 'Description', options.description);
+            options.version = await ask('version', 'Version', options.version);
+            options.icon = await ask('icon', 'Icon (Font Awesome class)', options.icon);
+
+            // Templates declare their own permissions
+            if (!options.template) {
+                log.info(`  Permissions: ${Object.keys(PLUGIN_PERMISSIONS).join(', ')}`);
+                const defaultPermissions = (options.permissions || PLUGIN_TYPES[options.type].permissions).join(', ') || 'none';
+                options.permissions = this.parsePermissionList(await ask('permissions', 'Permissions (comma-separated, or "none")', defaultPermissions));
+            }
+
+            this.printCreateSummary(options);
+            const confirm = await this.prompt('Create this plugin? (Y/n)', 'y');
+            return !/^n/i.test(confirm);
+        } finally {
+            this.closePrompt();
+        }
+    }
+
+    // Returns an error message for an invalid create option, or null
+    async validateCreateOption(field, value, options) {
+        const schema = this.getManifestSchema();
+        const formatProblem = problem => `${problem.message}${problem.suggestion ? ` (${problem.suggestion})` : ''}`;
+
+        if (['name', 'id', 'description', 'version', 'author', 'icon'].includes(field)) {
+            const problems = [];
+            this.validateAgainstSchema(value, schema.properties[field], `$.${field}`, problems);
+            if (problems.length > 0) {
+                return formatProblem(problems[0]);
+            }
+            if (field === 'name' && await this.pathExists(path.join(options.dev ? DEV_PLUGIN_DIR : PLUGIN_DIR, value))) {
+                return `a plugin named "${value}" already exists`;
+            }
+            return null;
+        }
+
+        if (field === 'kind') {
+            if (PLUGIN_TYPES[value]) {
+                return null;
+            }
+            try {
+                await this.resolveTemplate(value);
+                return null;
+            } catch (error) {
+                return `unknown type or template "${value}"`;
+            }
+        }
+
+        if (field === 'permissions') {
+            const unknown = this.parsePermissionList(value).filter(permission => !PLUGIN_PERMISSIONS[permission]);
+            if (unknown.length === 0) {
+                return null;
+            }
+            const closest = this.findClosestMatch(unknown[0], Object.keys(PLUGIN_PERMISSIONS));
+            return `unknown permission "${unknown[0]}"${closest ? ` (did you mean "${closest}"?)` : ''}`;
+        }
+
+        return null;
+    }
+
+    parsePermissionList(value) {
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return list.map(permission => permission.trim()).filter(permission => permission && permission !== 'none');
+    }
+
+    printCreateSummary(options) {
+        const permissions = options.template ? '(from the template)' : (options.permissions || PLUGIN_TYPES[options.type].permissions).join(', ') || 'none';
+
+        console.log('');
+        log.subtitle('Summary:');
+        console.log(`  ${colors.cyan}Name:${colors.reset} ${options.name}`);
+        console.log(`  ${colors.cyan}Id:${colors.reset} ${options.id || this.toPluginSlug(options.name)}`);
+        console.log(`  ${colors.cyan}${options.template ? 'Template' : 'Type'}:${colors.reset} ${options.template || options.type}`);
+        console.log(`  ${colors.cyan}Version:${colors.reset} ${options.version}`);
+        console.log(`  ${colors.cyan}Author:${colors.reset} ${options.author}`);
+        console.log(`  ${colors.cyan}Description:${colors.reset} ${options.description}`);
+        console.log(`  ${colors.cyan}Icon:${colors.reset} ${options.icon}`);
+        console.log(`  ${colors.cyan}Permissions:${colors.reset} ${permissions}`);
+        console.log(`  ${colors.cyan}Location:${colors.reset} ${path.join(options.dev ? DEV_PLUGIN_DIR : PLUGIN_DIR, options.name)}`);
+        console.log('');
+    }
+
+    getGitAuthor() {
+        try {
+            return execSync('git config user.name', { stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).toString().trim() || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async generatePluginFiles(pluginPath, options) {
+        await fs.mkdir(pluginPath, { recursive: true });
+
+        const templateType = PLUGIN_TYPES[options.type];
+        
+        for (const fileName of templateType.files) {
+            const content = await this.generateFileContent(fileName, options);
+            await fs.writeFile(path.join(pluginPath, fileName), content);
+            log.info(`Generated: ${fileName}`);
+        }
+    }
+
+    async generateFileContent(fileName, options) {
+        switch (fileName) {
+            case 'plugin.json':
+                return this.generatePluginManifest(options);
+            case 'index.html':
+                return this.generateIndexHTML(options);
+            case 'script.js':
+                return this.generateScriptJS(options);
+            case 'styles.css':
+                return this.generateStylesCSS(options);
+            case 'backend.js':
+                return this.generateBackendJS(options);
+            case 'package.json':
+                return this.generatePackageJSON(options);
+            default:
+                return '';
+        }
+    }
+
+    generatePluginManifest(options) {
+        const manifest = {
+            manifestVersion: MANIFEST_VERSION,
+            id: options.id,
+            name: options.name,
+            description: options.description,
+            version: options.version,
+            author: options.author,
+            icon: options.icon,
+            permissions: options.permissions || PLUGIN_TYPES[options.type].permissions
+        };
+
+        if (options.type === 'advanced') {
+            manifest.backend = 'backend.js';
+        }
+
+        return JSON.stringify(manifest, null, 2);
+    }
+
+    generateIndexHTML(options) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${options.name}</title>
     <link rel="stylesheet" href="styles.css">
@@ -295,7 +1561,7 @@ if (typeof tabContainer !== 'undefined') {
     console.log('Using provided tabContainer');
 }
 if (!container) {
-    container = document.querySelector('[data-tab="${options.name.toLowerCase().replace(/\s+/g, '-')}"]');
+    container = document.querySelector('[data-tab="${options.id}"]');
     console.log('Found container via data-tab selector');
 }
 
@@ -342,7 +1608,7 @@ function initializePlugin(container) {
                 
                 ${hasBackend ? `
                 // Call backend handler
-                const result = await window.wintoolAPI.invoke('${options.name.toLowerCase()}-action', inputValue);
+                const result = await window.wintoolAPI.invoke('${options.id}-action', inputValue);
                 displayResult(result);
                 ` : `
                 console.log('Processing input:', inputValue);
@@ -581,7 +1847,7 @@ module.exports = {
         console.log('Initializing ${options.name} backend...');
 
         // Register handlers for frontend communication
-        api.registerHandler('${options.name.toLowerCase()}-action', async (input) => {
+        api.registerHandler('${options.id}-action', async (input) => {
             try {
                 console.log(\`Processing input: \${input}\`);
 
@@ -605,10 +1871,10 @@ module.exports = {
         });
 
         // Example: Register a data retrieval handler
-        api.registerHandler('${options.name.toLowerCase()}-get-data', async () => {
+        api.registerHandler('${options.id}-get-data', async () => {
             try {
                 const store = await api.getStore();
-                const data = store.get('${options.name.toLowerCase()}-data', {});
+                const data = store.get('${options.id}-data', {});
 
                 return {
                     success: true,
@@ -623,10 +1889,10 @@ module.exports = {
         });
 
         // Example: Register a data saving handler
-        api.registerHandler('${options.name.toLowerCase()}-save-data', async (data) => {
+        api.registerHandler('${options.id}-save-data', async (data) => {
             try {
                 const store = await api.getStore();
-                store.set('${options.name.toLowerCase()}-data', data);
+                store.set('${options.id}-data', data);
 
                 return {
                     success: true,
@@ -661,7 +1927,7 @@ async function processInput(input) {
 
     generatePackageJSON(options) {
         return JSON.stringify({
-            name: options.name.toLowerCase().replace(/\s+/g, '-'),
+            name: options.id,
             version: options.version,
             description: options.description,
             main: 'backend.js',
@@ -707,37 +1973,144 @@ async function processInput(input) {
         console.log('  wintool-plugin-cli <command> [options]\n');
 
         log.subtitle('Commands:');
-        console.log('  create <name>     Create a new plugin');
-        console.log('  validate [path]   Validate plugin structure and security');
+        console.log('  create [name]     Create a new plugin (no name starts the interactive wizard)');
+        console.log('  validate [path]   Validate plugin structure and security (path may be a .zip)');
         console.log('  build [path]      Build and package plugin');
-        console.log('  test [path]       Run plugin tests');
-        console.log('  security [path]   Run security scan on plugin');
+        console.log('  test [path]       Run plugin checks and headless DOM tests (path may be a .zip)');
+        console.log('  lint [path]       Check plugin code against the lint rules (path may be a .zip)');
+        console.log('  security [path]   Run security scan on plugin (path may be a .zip)');
         console.log('  list              List all installed plugins');
+        console.log('  dev [path]        Watch plugin and re-run checks on save');
+        console.log('  invoke [path] <handler> [jsonArgs...]');
+        console.log('                    Call a backend.js handler locally');
+        console.log('  templates list    List built-in and installed plugin templates');
+        console.log('  rename [path]     Change a plugin\'s display name and/or id everywhere it is used');
+        console.log('  fix [path]        Apply the fixers of the lint rules (PLUGIN_BUTTON_GUIDE.md patterns)');
+        console.log('  permissions [check|suggest] [path]');
+        console.log('                    Compare or update declared permissions');
+        console.log('  audit [path]      Check npm dependencies for advisories, native addons and install scripts');
+        console.log('  inspect <zip>     Show a package\'s manifest, files and integrity without extracting it');
+        console.log('  diff <old> <new>  Compare two plugin versions (directories or zips)');
+        console.log('  publish [zip|dir] Add a validated package to a plugin registry');
+        console.log('  search <term>     Search a plugin registry by name, description or author');
+        console.log('  outdated          List installed plugins with newer versions in the registry');
+        console.log('  install <zip|dir> Install a plugin into the WinTool plugins directory');
+        console.log('  uninstall <name>  Remove an installed plugin');
+        console.log('  upgrade <name> <zip|dir>');
+        console.log('                    Replace an installed plugin with a newer version');
+        console.log('  rollback <name>   Restore the version that was installed before the last upgrade');
+        console.log('  keygen            Create an Ed25519 key pair for signing packages');
+        console.log('  sign <zip>        Sign a built plugin package');
+        console.log('  verify <zip>      Check a package signature and its files');
         console.log('  help              Show this help message');
         console.log('  version           Show version information\n');
 
         log.subtitle('Create Options:');
+        console.log('  --interactive         Ask for every option, with a summary before writing files');
+        console.log('  --yes, -y             Never prompt; use the given options and defaults (for CI)');
         console.log('  --type=<type>         Plugin type (basic, advanced, minimal)');
-        console.log('  --author=<name>       Plugin author name');
+        console.log('  --id=<id>             Plugin id slug (default: derived from the name)');
+        console.log('  --author=<name>       Plugin author name (default: git config user.name)');
         console.log('  --description=<desc>  Plugin description');
         console.log('  --version=<version>   Plugin version');
         console.log('  --icon=<icon>         Font Awesome icon class');
+        console.log('  --permissions=<list>  Comma-separated permissions (default: the type\'s permissions)');
+        console.log('  --template=<name|path>  Create from a template directory or zip (see templates list)');
+        console.log('  --var=<key>=<value>   Value for a template variable (repeatable)');
         console.log('  --dev                 Create in development directory\n');
 
+        log.subtitle('Validate Options:');
+        console.log('  --emit-schema         Print the plugin.json JSON Schema and exit\n');
+
+        log.subtitle('Build Options:');
+        console.log('  --sbom                Write a CycloneDX SBOM (<name>.cdx.json) and check licenses against allowedLicenses');
+        console.log('  --production          Bundle production dependencies, drop backup/log/editor files, check sizeBudget');
+        console.log('  --minify              Minify script.js, styles.css and index.html in the package\n');
+
+        log.subtitle('Security Options:');
+        console.log('  --baseline            Record current findings so only new ones fail (see .wintoolpluginrc)\n');
+
+        log.subtitle('Report Options (validate, security, lint, test):');
+        console.log('  --format=<format>     Write a json, sarif or junit report (to stdout unless --output is set)');
+        console.log('  --output=<file>       Write the report to a file and keep the text output\n');
+
+        log.subtitle('Audit Options:');
+        console.log('  --advisories=<file>   Advisory database to check against (or set WINTOOL_ADVISORY_DB)');
+        console.log('  --update-advisories=<file|url>  Replace the local advisory database and exit\n');
+
+        log.subtitle('Dev Options:');
+        console.log('  --install             Copy changed files into the WinTool plugins directory\n');
+
+        log.subtitle('Invoke Options:');
+        console.log('  --store=<file>        JSON file backing api.getStore() (default: .wintool-store.json)');
+        console.log('  --axios-fixtures=<file>  JSON responses for api.axios keyed by "METHOD url" or url');
+        console.log('  --dialog-file=<path>  Path returned by api.dialog open/save dialogs');
+        console.log('  --timeout=<ms>        Handler timeout (default: 30000)\n');
+
+        log.subtitle('Rename Options:');
+        console.log('  --name=<name>         New display name (plugin.json, HTML title and headings)');
+        console.log('  --id=<id>             New id (data-tab selectors, handler names, storage keys, package name)');
+        console.log('  --dry-run             Show the changes without writing them\n');
+
+        log.subtitle('Test Options:');
+        console.log('  --run-dom-tests       Run a zip\'s scripts in the headless DOM (jsdom is not a sandbox)\n');
+
+        log.subtitle('Lint Options:');
+        console.log('  --list                List the built-in and custom lint rules\n');
+
+        log.subtitle('Fix Options:');
+        console.log('  --write               Apply the changes (default: only show the diff)\n');
+
+        log.subtitle('Permissions Options:');
+        console.log('  --dry-run             Show the suggested permissions without writing plugin.json\n');
+
+        log.subtitle('Install / Upgrade Options:');
+        console.log('  --upgrade             install: replace an installed plugin with the same name (previous copy is backed up)');
+        console.log('  --force               Allow reinstalling the same version or downgrading');
+        console.log('  --purge               uninstall: also delete the backup of the previous version');
+        console.log('  --skip-npm            Do not run npm install --production for backend dependencies');
+        console.log('  --trust-bundled       Keep the node_modules bundled in a zip instead of reinstalling them');
+        console.log('  --plugin-dir=<dir>    Install somewhere other than the WinTool plugins directory');
+        console.log('                        (or set WINTOOL_PLUGIN_DIR)\n');
+
+        log.subtitle('Registry Options (publish, search, outdated):');
+        console.log('  --registry=<dir|url>  Registry directory or static HTTP root (or set WINTOOL_REGISTRY)');
+        console.log('  --force               publish: replace an already published version\n');
+
+        log.subtitle('Signing Options:');
+        console.log('  --out=<dir>           keygen: directory for the key files (default: current directory)');
+        console.log('  --name=<name>         keygen: key file name prefix (default: wintool-plugin)');
+        console.log('  --force               keygen: overwrite existing key files');
+        console.log('  --key=<file>          sign: private key; verify: trusted public key\n');
+
         log.subtitle('Examples:');
         console.log('  wintool-plugin-cli create my-plugin');
         console.log('  wintool-plugin-cli create my-plugin --type=advanced --author="John Doe"');
+        console.log('  wintool-plugin-cli create my-plugin --template=quick-launcher');
         console.log('  wintool-plugin-cli validate ./my-plugin');
         console.log('  wintool-plugin-cli security ./my-plugin');
+        console.log('  wintool-plugin-cli security ./my-plugin --format=sarif --output=security.sarif');
+        console.log('  wintool-plugin-cli dev ./my-plugin --install');
+        console.log('  wintool-plugin-cli invoke ./my-plugin my-plugin-action \'"hello"\'');
+        console.log('  wintool-plugin-cli sign My-Plugin.zip --key=wintool-plugin.private.pem');
+        console.log('  wintool-plugin-cli verify My-Plugin.zip --key=wintool-plugin.public.pem');
     }
 
     async validatePlugin(args) {
-        const pluginPath = args[0] || process.cwd();
+        const { positionals, flags } = this.parseCommandArgs(args);
+
+        if (flags['emit-schema']) {
+            console.log(JSON.stringify(this.getManifestSchema(), null, 2));
+            return true;
+        }
+
+        const pluginPath = positionals[0] || process.cwd();
+        const report = this.startReport(flags);
 
         log.title('🔍 Plugin Validation');
         log.info(`Validating plugin at: ${pluginPath}`);
 
-        const validation = await this.runValidation(pluginPath);
+        const validation = await this.withPluginDirectory(pluginPath, pluginDir => this.runValidation(pluginDir));
 
         if (validation.isValid) {
             log.success('Plugin validation passed!');
@@ -751,6 +2124,10 @@ async function processInput(input) {
             validation.warnings.forEach(warning => log.warning(`  • ${warning}`));
         }
 
+        if (report) {
+            await this.writeReport(report, 'validate', pluginPath, [this.toReportSection('validation', validation)]);
+        }
+
         return validation.isValid;
     }
 
@@ -758,7 +2135,8 @@ async function processInput(input) {
         const validation = {
             isValid: true,
             errors: [],
-            warnings: []
+            warnings: [],
+            problems: []
         };
 
         try {
@@ -787,16 +2165,39 @@ async function processInput(input) {
             const manifestContent = await fs.readFile(manifestPath, 'utf8');
             const manifest = JSON.parse(manifestContent);
 
-            const requiredFields = ['name', 'description', 'version', 'author', 'icon'];
-            for (const field of requiredFields) {
-                if (!manifest[field]) {
+            // Check every field against the published manifest schema
+            for (const problem of this.validateManifestSchema(manifest)) {
+                const text = `plugin.json ${problem.path}: ${problem.message}${problem.suggestion ? ` (${problem.suggestion})` : ''}`;
+                validation.problems.push(problem);
+                if (problem.severity === 'error') {
+                    validation.errors.push(text);
+                    validation.isValid = false;
+                } else {
+                    validation.warnings.push(text);
+                }
+            }
+
+            if (manifest.manifestVersion === undefined) {
+                validation.warnings.push(`plugin.json has no manifestVersion, assuming ${MANIFEST_VERSION}`);
+            }
+            if (manifest.id === undefined && typeof manifest.name === 'string') {
+                validation.warnings.push(`plugin.json has no id (add "id": "${this.toPluginSlug(manifest.name)}" or run: wintool-plugin-cli rename --id=<id>)`);
+            }
+
+            const recommendedFields = ['description', 'version', 'author'];
+            for (const field of recommendedFields) {
+                if (manifest[field] === undefined) {
                     validation.warnings.push(`Recommended field missing in plugin.json: ${field}`);
                 }
             }
 
-            // Validate icon format
-            if (manifest.icon && !manifest.icon.startsWith('fas fa-') && !manifest.icon.startsWith('far fa-')) {
-                validation.warnings.push('Icon should be a Font Awesome class (e.g., "fas fa-cog")');
+            if (manifest.main) {
+                try {
+                    await fs.access(path.join(pluginPath, manifest.main));
+                } catch (e) {
+                    validation.errors.push(`Main file specified but not found: ${manifest.main}`);
+                    validation.isValid = false;
+                }
             }
 
         } catch (e) {
@@ -822,6 +2223,32 @@ async function processInput(input) {
             // Already handled above
         }
 
+        // Cross-check declared permissions against the APIs the code calls
+        try {
+            const manifestPath = path.join(pluginPath, 'plugin.json');
+            const manifestContent = await fs.readFile(manifestPath, 'utf8');
+            const manifest = JSON.parse(manifestContent);
+            const declared = Array.isArray(manifest.permissions) ? manifest.permissions : [];
+            const required = await this.inferPermissions(pluginPath, manifest);
+
+            for (const permission of new Set(declared)) {
+                // Unknown permission names are already reported by the schema check
+                if (PLUGIN_PERMISSIONS[permission] && !required.has(permission)) {
+                    validation.warnings.push(`Permission declared but not used: ${permission}`);
+                }
+            }
+
+            for (const [permission, usages] of required) {
+                if (!declared.includes(permission)) {
+                    const usage = usages[0];
+                    validation.errors.push(`Permission not declared in plugin.json: ${permission} (${usage.path} at ${usage.file}:${usage.line})`);
+                    validation.isValid = false;
+                }
+            }
+        } catch (e) {
+            // Already handled above
+        }
+
         // Validate HTML structure
         try {
             const htmlPath = path.join(pluginPath, 'index.html');
@@ -842,351 +2269,5867 @@ async function processInput(input) {
         return validation;
     }
 
-    async securityScan(args) {
-        const pluginPath = args[0] || process.cwd();
+    getManifestSchema() {
+        return require(MANIFEST_SCHEMA_PATH);
+    }
 
-        log.title('🔒 Security Scan');
-        log.info(`Scanning plugin at: ${pluginPath}`);
+    validateManifestSchema(manifest) {
+        const problems = [];
+        this.validateAgainstSchema(manifest, this.getManifestSchema(), '$', problems);
+        return problems;
+    }
 
-        const scanResult = await this.runSecurityScan(pluginPath);
+    /**
+     * Minimal JSON Schema (draft-07) validator covering the keywords the manifest schema uses.
+     * Each problem carries the JSON path, what was expected, what was found and a suggestion.
+     */
+    validateAgainstSchema(value, schema, jsonPath, problems) {
+        const expected = schema.title || schema.type;
+        const example = Array.isArray(schema.examples) && schema.examples.length > 0 ? schema.examples[0] : undefined;
+        const exampleHint = example !== undefined ? `use a value like ${JSON.stringify(example)}` : null;
+        const add = (message, suggestion, severity = 'error') => problems.push({
+            path: jsonPath,
+            severity,
+            message,
+            expected,
+            actual: value,
+            suggestion
+        });
 
-        if (scanResult.isSecure) {
-            log.success('Security scan passed!');
-        } else {
-            log.error('Security issues found!');
-            scanResult.issues.forEach(issue => {
-                log.error(`  • ${issue.severity.toUpperCase()}: ${issue.message}`);
-            });
+        if (schema.type && this.getSchemaType(value) !== schema.type &&
+            !(schema.type === 'number' && this.getSchemaType(value) === 'integer')) {
+            add(`expected ${expected} (${schema.type}), got ${this.getSchemaType(value)} ${JSON.stringify(value)}`, exampleHint);
+            return;
         }
 
-        if (scanResult.recommendations.length > 0) {
-            log.info('Security recommendations:');
-            scanResult.recommendations.forEach(rec => log.info(`  • ${rec}`));
+        if (schema.enum && !schema.enum.some(option => option === value)) {
+            const closest = typeof value === 'string' ? this.findClosestMatch(value, schema.enum.map(String)) : null;
+            add(`expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`,
+                closest ? `did you mean ${JSON.stringify(closest)}?` : null);
         }
 
-        return scanResult.isSecure;
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                add(schema.minLength === 1 ? `expected ${expected}, got an empty string` : `expected at least ${schema.minLength} characters`, exampleHint);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                add(`expected at most ${schema.maxLength} characters, got ${value.length}`, 'shorten the value');
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                add(`expected ${expected}, got ${JSON.stringify(value)}`, this.suggestSchemaFix(jsonPath, value) || exampleHint);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.uniqueItems) {
+                value.forEach((item, index) => {
+                    if (value.findIndex(other => JSON.stringify(other) === JSON.stringify(item)) !== index) {
+                        problems.push({
+                            path: `${jsonPath}[${index}]`,
+                            severity: 'error',
+                            message: `duplicate entry ${JSON.stringify(item)}`,
+                            expected: 'unique items',
+                            actual: item,
+                            suggestion: 'remove the duplicate'
+                        });
+                    }
+                });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateAgainstSchema(item, schema.items, `${jsonPath}[${index}]`, problems));
+            }
+        }
+
+        if (this.getSchemaType(value) === 'object') {
+            for (const field of schema.required || []) {
+                if (value[field] === undefined) {
+                    const fieldSchema = (schema.properties || {})[field] || {};
+                    const fieldExample = Array.isArray(fieldSchema.examples) ? fieldSchema.examples[0] : undefined;
+                    problems.push({
+                        path: `${jsonPath}.${field}`,
+                        severity: 'error',
+                        message: `required field is missing (expected ${fieldSchema.title || fieldSchema.type})`,
+                        expected: fieldSchema.title || fieldSchema.type,
+                        actual: undefined,
+                        suggestion: fieldExample !== undefined ? `add "${field}": ${JSON.stringify(fieldExample)}` : `add "${field}"`
+                    });
+                }
+            }
+
+            const known = Object.keys(schema.properties || {});
+            for (const [field, fieldValue] of Object.entries(value)) {
+                const fieldPath = `${jsonPath}.${field}`;
+                if (schema.properties && schema.properties[field]) {
+                    this.validateAgainstSchema(fieldValue, schema.properties[field], fieldPath, problems);
+                } else if (schema.additionalProperties === false) {
+                    // Unknown fields are tolerated by WinTool, so they are only warnings
+                    const closest = this.findClosestMatch(field, known);
+                    problems.push({
+                        path: fieldPath,
+                        severity: 'warning',
+                        message: 'unknown field',
+                        expected: `one of ${known.join(', ')}`,
+                        actual: fieldValue,
+                        suggestion: closest ? `did you mean "${closest}"?` : 'remove the field'
+                    });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    this.validateAgainstSchema(fieldValue, schema.additionalProperties, fieldPath, problems);
+                }
+            }
+        }
+    }
+
+    getSchemaType(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (Number.isInteger(value)) {
+            return 'integer';
+        }
+        return typeof value;
+    }
+
+    suggestSchemaFix(jsonPath, value) {
+        if (jsonPath === '$.version') {
+            // "1.0" -> "1.0.0", "v1.2.3" -> "1.2.3"
+            const parts = value.trim().replace(/^v/i, '').split('.');
+            if (parts.length <= 3 && parts.every(part => /^\d+$/.test(part))) {
+                while (parts.length < 3) {
+                    parts.push('0');
+                }
+                return `use "${parts.map(part => String(parseInt(part, 10))).join('.')}"`;
+            }
+        }
+
+        if (jsonPath === '$.icon' && /^fa-[a-z0-9-]+$/.test(value.trim())) {
+            return `use "fas ${value.trim()}"`;
+        }
+
+        if (jsonPath === '$.id' && this.toPluginSlug(value)) {
+            return `use "${this.toPluginSlug(value)}"`;
+        }
+
+        return null;
+    }
+
+    findClosestMatch(value, candidates) {
+        const distance = (a, b) => {
+            const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                let previous = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const current = row[j];
+                    row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    previous = current;
+                }
+            }
+            return row[b.length];
+        };
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (const candidate of candidates) {
+            const d = distance(value.toLowerCase(), candidate.toLowerCase());
+            if (d < bestDistance) {
+                best = candidate;
+                bestDistance = d;
+            }
+        }
+
+        return bestDistance <= Math.max(2, Math.floor(value.length / 3)) ? best : null;
+    }
+
+    async securityScan(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const pluginPath = positionals[0] || process.cwd();
+        const report = this.startReport(flags);
+
+        log.title('🔒 Security Scan');
+        log.info(`Scanning plugin at: ${pluginPath}`);
+
+        if (flags.baseline && this.isArchivePath(pluginPath)) {
+            log.error('--baseline needs a plugin directory, not a zip');
+            return false;
+        }
+
+        const scanResult = await this.withPluginDirectory(pluginPath, async (pluginDir, trusted) => {
+            const config = await this.loadPluginConfig(pluginDir, { trusted });
+            config.warnings.forEach(warning => log.warning(warning));
+
+            if (flags.baseline) {
+                const baselineScan = await this.runSecurityScan(pluginDir, { config, ignoreBaseline: true });
+                const { baselinePath, count } = await this.writeBaseline(pluginDir, config, baselineScan.issues);
+                log.success(`Recorded ${count} finding(s) in ${baselinePath}`);
+                log.info('Only findings that are not in the baseline will fail future scans');
+                return null;
+            }
+
+            return this.runSecurityScan(pluginDir, { config, trusted });
+        });
+
+        if (!scanResult) {
+            return true;
+        }
+
+        if (scanResult.isSecure) {
+            log.success('Security scan passed!');
+        } else {
+            log.error('Security issues found!');
+        }
+
+        scanResult.issues.forEach(issue => {
+            const report = issue.severity === 'high' ? log.error : log.warning;
+            report(`  • ${this.formatSecurityIssue(issue)}`);
+            if (issue.snippet) {
+                log.print(`      ${issue.snippet}`);
+            }
+        });
+
+        if (scanResult.recommendations.length > 0) {
+            log.info('Security recommendations:');
+            scanResult.recommendations.forEach(rec => log.info(`  • ${rec}`));
+        }
+
+        if (scanResult.suppressed.length > 0) {
+            log.info(`Suppressed findings: ${this.describeSuppressed(scanResult.suppressed)}`);
+        }
+
+        if (report) {
+            await this.writeReport(report, 'security', pluginPath, [this.toReportSection('security', scanResult)]);
+        }
+
+        return scanResult.isSecure;
     }
 
-    async runSecurityScan(pluginPath) {
+    async runSecurityScan(pluginPath, options = {}) {
         const scanResult = {
             isSecure: true,
             issues: [],
-            recommendations: []
+            recommendations: [],
+            files: [],
+            suppressed: []
+        };
+
+        const config = options.config || await this.loadPluginConfig(pluginPath, { trusted: options.trusted });
+
+        // Optionally restrict the scan to a subset of files (used by dev mode)
+        const shouldScan = (file) => (!options.files || options.files.includes(file)) &&
+            !config.ignorePatterns.some(pattern => this.matchesGlob(file, pattern));
+
+        try {
+            let manifest = {};
+            try {
+                manifest = JSON.parse(await fs.readFile(path.join(pluginPath, 'plugin.json'), 'utf8'));
+            } catch (e) {
+                // Validation reports manifest problems; scan the files regardless
+            }
+
+            // Backend modules are found by following require/import edges, so files
+            // outside the normal walk (hidden folders, parent directories) are still covered
+            const backend = await this.collectBackendModules(pluginPath, manifest.backend);
+            backend.findings.filter(finding => shouldScan(finding.file)).forEach(finding => this.addSecurityFindings(scanResult, [finding]));
+
+            // Someone else's package may hide code in dotfiles, so those are scanned as well
+            const treeFiles = (await this.getAllFiles(pluginPath, { includeHidden: options.trusted === false }))
+                .map(file => this.toRelativePath(pluginPath, file));
+            const files = [...new Set([...treeFiles, ...backend.modules.keys()])].filter(shouldScan).sort();
+
+            for (const file of files) {
+                scanResult.files.push(file);
+
+                if (backend.modules.has(file)) {
+                    this.addSecurityFindings(scanResult, backend.modules.get(file).findings);
+                    continue;
+                }
+
+                await this.scanFile(pluginPath, file, scanResult);
+            }
+
+        } catch (error) {
+            scanResult.issues.push({
+                message: `Scan error: ${error.message}`,
+                severity: 'high'
+            });
+        }
+
+        await this.applySuppressions(pluginPath, scanResult, config, options);
+
+        // Scan errors always fail; findings fail when they reach the configured threshold
+        const threshold = SEVERITY_LEVELS.indexOf(config.failOn);
+        scanResult.isSecure = !scanResult.issues.some(issue =>
+            !issue.ruleId || SEVERITY_LEVELS.indexOf(issue.severity) >= threshold);
+
+        scanResult.issues.sort((a, b) => (a.file || '').localeCompare(b.file || '') ||
+            (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+        scanResult.recommendations = [...new Set(scanResult.recommendations)];
+
+        return scanResult;
+    }
+
+    /**
+     * Reads .wintoolpluginrc. Untrusted plugins (zips from someone else) get the defaults,
+     * so a package can never switch off the checks that are run on it.
+     */
+    async loadPluginConfig(pluginPath, options = {}) {
+        const configPath = path.join(pluginPath, PLUGIN_CONFIG_FILE);
+        let userConfig = {};
+
+        if (options.trusted === false) {
+            const warnings = await this.pathExists(configPath)
+                ? [`Ignoring the package's ${PLUGIN_CONFIG_FILE}: settings, baselines and ignore comments only apply to plugin directories`]
+                : [];
+            return { ...DEFAULT_PLUGIN_CONFIG, baseline: path.resolve(pluginPath, DEFAULT_PLUGIN_CONFIG.baseline), warnings };
+        }
+
+        try {
+            userConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { ...DEFAULT_PLUGIN_CONFIG, baseline: path.resolve(pluginPath, DEFAULT_PLUGIN_CONFIG.baseline), warnings: [] };
+            }
+            throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: ${error.message}`);
+        }
+
+        const config = { ...DEFAULT_PLUGIN_CONFIG, ...userConfig, warnings: [] };
+
+        for (const key of Object.keys(userConfig)) {
+            if (!(key in DEFAULT_PLUGIN_CONFIG)) {
+                config.warnings.push(`Unknown ${PLUGIN_CONFIG_FILE} option: ${key}`);
+            }
+        }
+
+        if (!SEVERITY_LEVELS.includes(config.failOn)) {
+            throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: failOn must be one of ${SEVERITY_LEVELS.join(', ')}`);
+        }
+
+        if (!Array.isArray(config.ignorePatterns) || config.ignorePatterns.some(pattern => typeof pattern !== 'string')) {
+            throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: ignorePatterns must be an array of glob strings`);
+        }
+
+        if (typeof config.baseline !== 'string') {
+            throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: baseline must be a file path`);
+        }
+        config.baseline = path.resolve(pluginPath, config.baseline);
+
+        if (!Array.isArray(config.allowedLicenses) || config.allowedLicenses.some(license => typeof license !== 'string')) {
+            throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: allowedLicenses must be an array of SPDX license ids`);
+        }
+
+        if (!config.sizeBudget || typeof config.sizeBudget !== 'object' || Array.isArray(config.sizeBudget)) {
+            throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: sizeBudget must be an object`);
+        }
+        for (const [key, value] of Object.entries(config.sizeBudget)) {
+            if (!SIZE_BUDGET_KEYS.includes(key)) {
+                throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: unknown sizeBudget key "${key}" (use ${SIZE_BUDGET_KEYS.join(', ')})`);
+            }
+            if (this.parseSize(value) === null) {
+                throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: sizeBudget.${key} must be bytes or a size like "500KB"`);
+            }
+        }
+
+        if (!Array.isArray(config.ruleModules) || config.ruleModules.some(modulePath => typeof modulePath !== 'string')) {
+            throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: ruleModules must be an array of module paths`);
+        }
+
+        // Rules can be turned "off"/"on" or given a different severity; custom lint rules are namespaced ("team/rule")
+        const ruleSettings = ['off', 'on', ...SEVERITY_LEVELS];
+        for (const [ruleId, setting] of Object.entries(config.rules || {})) {
+            if (!SECURITY_RULES[ruleId] && !LINT_RULES[ruleId] && !ruleId.includes('/')) {
+                config.warnings.push(`Unknown rule in ${PLUGIN_CONFIG_FILE}: ${ruleId}`);
+            }
+            if (!ruleSettings.includes(setting) && typeof setting !== 'boolean') {
+                throw new Error(`Invalid ${PLUGIN_CONFIG_FILE}: rule "${ruleId}" must be one of ${ruleSettings.join(', ')}`);
+            }
+        }
+
+        return config;
+    }
+
+    /**
+     * Drops findings that are disabled in the config, silenced with an inline
+     * wintool-ignore-next-line comment or recorded in the baseline. Untrusted
+     * plugins only get the config; their comments and baseline are not honoured.
+     */
+    async applySuppressions(pluginPath, scanResult, config, options = {}) {
+        const trusted = options.trusted !== false;
+        const fileLines = new Map();
+        const readLines = async (file) => {
+            if (!fileLines.has(file)) {
+                try {
+                    fileLines.set(file, (await fs.readFile(path.join(pluginPath, file), 'utf8')).split(/\r?\n/));
+                } catch (e) {
+                    fileLines.set(file, []);
+                }
+            }
+            return fileLines.get(file);
+        };
+
+        const baseline = options.ignoreBaseline || !trusted ? new Map() : await this.loadBaseline(pluginPath, config);
+        const issues = [];
+
+        for (const issue of scanResult.issues) {
+            const setting = issue.ruleId ? config.rules[issue.ruleId] : undefined;
+
+            if (setting === 'off' || setting === false) {
+                scanResult.suppressed.push({ ...issue, reason: 'config' });
+                continue;
+            }
+            if (SEVERITY_LEVELS.includes(setting)) {
+                issue.severity = setting;
+            }
+
+            if (trusted && issue.ruleId && issue.file && issue.line > 1) {
+                const match = IGNORE_COMMENT_PATTERN.exec((await readLines(issue.file))[issue.line - 2] || '');
+                const rules = match && match[1] ? match[1].split(/[\s,]+/) : [];
+                if (match && (rules.length === 0 || rules.includes(issue.ruleId))) {
+                    scanResult.suppressed.push({ ...issue, reason: 'inline' });
+                    continue;
+                }
+            }
+
+            const fingerprint = this.getFindingFingerprint(issue);
+            if (issue.ruleId && baseline.get(fingerprint) > 0) {
+                baseline.set(fingerprint, baseline.get(fingerprint) - 1);
+                scanResult.suppressed.push({ ...issue, reason: 'baseline' });
+                continue;
+            }
+
+            issues.push(issue);
+        }
+
+        scanResult.issues = issues;
+    }
+
+    // Line numbers are left out so unrelated edits do not invalidate the baseline
+    getFindingFingerprint(issue) {
+        return crypto.createHash('sha256')
+            .update(`${issue.ruleId}\0${issue.file || ''}\0${issue.snippet || issue.message}`)
+            .digest('hex')
+            .slice(0, 16);
+    }
+
+    async loadBaseline(pluginPath, config) {
+        const counts = new Map();
+
+        try {
+            const baseline = JSON.parse(await fs.readFile(path.resolve(pluginPath, config.baseline), 'utf8'));
+            for (const entry of baseline.findings || []) {
+                counts.set(entry.fingerprint, (counts.get(entry.fingerprint) || 0) + 1);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Invalid baseline ${config.baseline}: ${error.message}`);
+            }
+        }
+
+        return counts;
+    }
+
+    async writeBaseline(pluginPath, config, issues) {
+        const baselinePath = path.resolve(pluginPath, config.baseline);
+        const findings = issues.filter(issue => issue.ruleId).map(issue => ({
+            fingerprint: this.getFindingFingerprint(issue),
+            ruleId: issue.ruleId,
+            severity: issue.severity,
+            file: issue.file,
+            line: issue.line,
+            message: issue.message
+        }));
+
+        await fs.writeFile(baselinePath, JSON.stringify({ version: 1, findings }, null, 2) + '\n');
+        return { baselinePath, count: findings.length };
+    }
+
+    // Minimal gitignore-style matching: "*" and "?" stay within a path segment,
+    // "**" crosses segments, and patterns without a slash match at any depth
+    matchesGlob(file, pattern) {
+        let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+        if (glob.endsWith('/')) {
+            glob += '**';
+        }
+        if (!glob.includes('/')) {
+            glob = `**/${glob}`;
+        } else if (glob.startsWith('/')) {
+            glob = glob.slice(1);
+        }
+
+        const source = glob.split(/(\*\*\/|\*\*|\*|\?)/).map(part => {
+            if (part === '**/') return '(?:.*/)?';
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        // A pattern matching a directory also matches everything inside it
+        return new RegExp(`^${source}(?:/.*)?$`).test(file);
+    }
+
+    async scanFile(pluginPath, file, scanResult) {
+        const extension = path.extname(file).toLowerCase();
+
+        if (EXECUTABLE_FILE_EXTENSIONS.includes(extension)) {
+            this.addSecurityFindings(scanResult, [{
+                ruleId: 'suspicious-file-type',
+                severity: SECURITY_RULES['suspicious-file-type'].severity,
+                message: `${SECURITY_RULES['suspicious-file-type'].message} (${extension})`,
+                file
+            }]);
+            return;
+        }
+
+        const fileType = SCAN_FILE_TYPES[extension];
+        if (!fileType) {
+            return;
+        }
+
+        const content = await fs.readFile(path.join(pluginPath, file), 'utf8');
+
+        switch (fileType) {
+            case 'javascript': {
+                const sourceType = extension === '.mjs' ? 'module' : 'script';
+                this.addSecurityFindings(scanResult, this.analyzeJavaScript(content, file, { sourceType }).findings);
+
+                // Check for proper API usage
+                if (content.includes('wintoolAPI') && !content.includes('window.wintoolAPI')) {
+                    scanResult.recommendations.push('Use window.wintoolAPI for better compatibility');
+                }
+                break;
+            }
+            case 'html':
+                this.addSecurityFindings(scanResult, this.analyzeHTML(content, file));
+
+                if (file === 'index.html' && !content.includes('Content-Security-Policy')) {
+                    scanResult.recommendations.push('Consider adding Content-Security-Policy meta tag');
+                }
+                break;
+            case 'css':
+                this.addSecurityFindings(scanResult, this.analyzeCSS(content, file));
+                break;
+            case 'json':
+                this.addSecurityFindings(scanResult, this.analyzeJSON(content, file));
+                break;
+            case 'powershell':
+                this.addSecurityFindings(scanResult, this.analyzePowerShell(content, file));
+                break;
+            default:
+                break;
+        }
+    }
+
+    async collectBackendModules(pluginPath, entry) {
+        const modules = new Map();
+        const findings = [];
+
+        if (!entry) {
+            return { modules, findings };
+        }
+
+        const root = path.resolve(pluginPath);
+        const entryPath = path.resolve(root, entry);
+
+        // Checked before reading, so a hostile manifest cannot make the CLI read and echo host files
+        if (!entryPath.startsWith(root + path.sep)) {
+            findings.push({
+                ruleId: 'module-outside-plugin',
+                severity: SECURITY_RULES['module-outside-plugin'].severity,
+                message: `${SECURITY_RULES['module-outside-plugin'].message}: ${entry}`,
+                file: 'plugin.json'
+            });
+            return { modules, findings };
+        }
+
+        const queue = [entryPath];
+
+        while (queue.length > 0) {
+            const modulePath = queue.shift();
+            const file = this.toRelativePath(root, modulePath);
+
+            if (modules.has(file)) {
+                continue;
+            }
+
+            let content;
+            try {
+                content = await fs.readFile(modulePath, 'utf8');
+            } catch (e) {
+                // A missing backend entry is reported by validation
+                continue;
+            }
+
+            if (path.extname(modulePath).toLowerCase() === '.json') {
+                modules.set(file, { findings: this.analyzeJSON(content, file), usages: [] });
+                continue;
+            }
+
+            const result = this.analyzeJavaScript(content, file, {
+                sourceType: path.extname(modulePath).toLowerCase() === '.mjs' ? 'module' : 'script',
+                allowRelativeRequire: true
+            });
+            modules.set(file, result);
+
+            for (const dependency of result.dependencies) {
+                if (!/^\.\.?(\/|$)/.test(dependency.specifier)) {
+                    continue;
+                }
+
+                const resolved = await this.resolveLocalModule(path.dirname(modulePath), dependency.specifier);
+                const lineText = (content.split(/\r?\n/)[dependency.line - 1] || '').trim();
+
+                if (!resolved) {
+                    findings.push({
+                        ruleId: 'unresolved-module',
+                        severity: SECURITY_RULES['unresolved-module'].severity,
+                        message: `${SECURITY_RULES['unresolved-module'].message}: ${dependency.specifier}`,
+                        file,
+                        line: dependency.line,
+                        column: dependency.column,
+                        snippet: lineText
+                    });
+                } else if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+                    findings.push({
+                        ruleId: 'module-outside-plugin',
+                        severity: SECURITY_RULES['module-outside-plugin'].severity,
+                        message: `${SECURITY_RULES['module-outside-plugin'].message}: ${dependency.specifier}`,
+                        file,
+                        line: dependency.line,
+                        column: dependency.column,
+                        snippet: lineText
+                    });
+                } else if (!resolved.split(path.sep).includes('node_modules')) {
+                    queue.push(resolved);
+                }
+            }
+        }
+
+        return { modules, findings };
+    }
+
+    // Resolve a relative specifier the way Node does for files and directories
+    async resolveLocalModule(fromDir, specifier) {
+        const base = path.resolve(fromDir, specifier);
+        const candidates = [
+            base,
+            ...['.js', '.cjs', '.mjs', '.json'].map(extension => base + extension),
+            ...['index.js', 'index.cjs', 'index.json'].map(index => path.join(base, index))
+        ];
+
+        for (const candidate of candidates) {
+            const isFile = await fs.stat(candidate).then(stat => stat.isFile(), () => false);
+            if (isFile) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Work out which permissions a plugin needs from the APIs its code calls.
+     * Returns a Map of permission -> usages ({ path, file, line, column }), in PLUGIN_PERMISSIONS order.
+     */
+    async inferPermissions(pluginPath, manifest = {}) {
+        const backend = await this.collectBackendModules(pluginPath, manifest.backend);
+        const treeFiles = (await this.getAllFiles(pluginPath)).map(file => this.toRelativePath(pluginPath, file));
+        const files = [...new Set([...treeFiles, ...backend.modules.keys()])].sort();
+        const usages = [];
+
+        for (const file of files) {
+            const fileType = SCAN_FILE_TYPES[path.extname(file).toLowerCase()];
+
+            if (backend.modules.has(file)) {
+                usages.push(...backend.modules.get(file).usages.map(usage => ({ ...usage, file })));
+            } else if (fileType === 'javascript') {
+                const content = await fs.readFile(path.join(pluginPath, file), 'utf8');
+                const sourceType = path.extname(file).toLowerCase() === '.mjs' ? 'module' : 'script';
+                usages.push(...this.analyzeJavaScript(content, file, { sourceType }).usages.map(usage => ({ ...usage, file })));
+            } else if (fileType === 'html') {
+                const content = await fs.readFile(path.join(pluginPath, file), 'utf8');
+                for (const script of this.extractInlineScripts(content)) {
+                    const result = this.analyzeJavaScript(script.code, file, { lineOffset: script.lineOffset, sourceType: script.sourceType });
+                    usages.push(...result.usages.map(usage => ({ ...usage, file })));
+                }
+            }
+        }
+
+        const required = new Map();
+        for (const permission of Object.keys(PLUGIN_PERMISSIONS)) {
+            const matches = new Map();
+
+            // One usage per location; chained calls like getSystemInfo().then() keep the shortest path
+            usages
+                .filter(usage => PERMISSION_RULES.some(rule => rule.permission === permission && this.matchesAPIPath(usage.path, rule.api)))
+                .sort((a, b) => a.path.length - b.path.length)
+                .forEach(usage => {
+                    const location = `${usage.file}:${usage.line}:${usage.column}`;
+                    if (!matches.has(location)) {
+                        matches.set(location, usage);
+                    }
+                });
+
+            if (matches.size > 0) {
+                required.set(permission, [...matches.values()].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column));
+            }
+        }
+
+        return required;
+    }
+
+    matchesAPIPath(apiPath, rule) {
+        return apiPath === rule || apiPath.startsWith(`${rule}.`) || apiPath.startsWith(`${rule}(`);
+    }
+
+    analyzeJavaScript(code, file, options = {}) {
+        return new JavaScriptAnalyzer(code, file, options).analyze();
+    }
+
+    analyzeHTML(content, file) {
+        const findings = [];
+
+        // Inline scripts go through the JavaScript analyzer, with lines mapped back to the HTML file
+        for (const script of this.extractInlineScripts(content)) {
+            const result = this.analyzeJavaScript(script.code, file, {
+                lineOffset: script.lineOffset,
+                sourceType: script.sourceType
+            });
+            findings.push(...result.findings);
+        }
+
+        // Blank out comments and script bodies so markup inside them isn't mistaken for tags
+        const markup = this.maskMatches(content, /<!--[\s\S]*?-->|(?<=<script\b[^>]*>)[\s\S]*?(?=<\/script\s*>)/gi);
+        const tagPattern = /<([a-zA-Z][\w-]*)\b[^>]*>/g;
+        let tag;
+
+        while ((tag = tagPattern.exec(markup)) !== null) {
+            const tagName = tag[1].toLowerCase();
+            const attributePattern = /\s([\w:-]+)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/g;
+            let attribute;
+
+            while ((attribute = attributePattern.exec(tag[0])) !== null) {
+                const name = attribute[1].toLowerCase();
+                const value = attribute[2].replace(/^["']|["']$/g, '').trim();
+                const index = tag.index + attribute.index + 1;
+
+                if (name.startsWith('on')) {
+                    findings.push(this.createFinding('inline-event-handler', file, content, index, `${SECURITY_RULES['inline-event-handler'].message} (${name})`));
+                } else if (['href', 'src', 'action', 'formaction'].includes(name) && /^javascript:/i.test(value)) {
+                    findings.push(this.createFinding('javascript-url', file, content, index));
+                } else if (['src', 'href', 'data'].includes(name) && /^(https?:)?\/\//i.test(value) && tagName !== 'a') {
+                    const ruleId = tagName === 'script' ? 'external-script' : 'external-resource';
+                    findings.push(this.createFinding(ruleId, file, content, index, `${SECURITY_RULES[ruleId].message}: ${value}`));
+                }
+            }
+        }
+
+        return findings;
+    }
+
+    analyzeCSS(content, file) {
+        const findings = [];
+        const css = this.maskMatches(content, /\/\*[\s\S]*?\*\//g);
+        const externalPattern = /@import\s+(?:url\()?\s*["']?((?:https?:)?\/\/[^"')\s;]+)|url\(\s*["']?((?:https?:)?\/\/[^"')\s]+)/gi;
+        const executablePattern = /\bexpression\s*\(|\bbehavior\s*:|-moz-binding\s*:/gi;
+        let match;
+
+        while ((match = externalPattern.exec(css)) !== null) {
+            findings.push(this.createFinding('external-resource', file, content, match.index, `${SECURITY_RULES['external-resource'].message}: ${match[1] || match[2]}`));
+        }
+
+        while ((match = executablePattern.exec(css)) !== null) {
+            findings.push(this.createFinding('css-expression', file, content, match.index));
+        }
+
+        return findings;
+    }
+
+    analyzeJSON(content, file) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return [this.createFinding('parse-error', file, content, 0, `${SECURITY_RULES['parse-error'].message}: ${error.message}`)];
+        }
+
+        const findings = [];
+
+        if (path.posix.basename(file) === 'package.json' && data && data.scripts) {
+            for (const script of ['preinstall', 'install', 'postinstall', 'prepare']) {
+                if (data.scripts[script]) {
+                    const index = Math.max(content.indexOf(`"${script}"`), 0);
+                    findings.push(this.createFinding('install-script', file, content, index, `${SECURITY_RULES['install-script'].message} (${script})`));
+                }
+            }
+        }
+
+        return findings;
+    }
+
+    analyzePowerShell(content, file) {
+        const findings = [];
+
+        // Ignore block comments (<# #>) and line comments (# ...)
+        const script = this.maskMatches(content, /<#[\s\S]*?#>|(^|[ \t])#[^\n]*/gm);
+
+        for (const { ruleId, pattern } of POWERSHELL_PATTERNS) {
+            const regex = new RegExp(pattern.source, pattern.flags);
+            let match;
+            while ((match = regex.exec(script)) !== null) {
+                findings.push(this.createFinding(ruleId, file, content, match.index));
+            }
+        }
+
+        return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    // Replace matched text with spaces, keeping newlines so offsets and line numbers stay valid
+    maskMatches(content, pattern) {
+        return content.replace(pattern, match => match.replace(/[^\n]/g, ' '));
+    }
+
+    createFinding(ruleId, file, content, index, message) {
+        const before = content.slice(0, index);
+        const line = before.split('\n').length;
+        const lineStart = before.lastIndexOf('\n') + 1;
+        const lineEnd = content.indexOf('\n', index);
+
+        return {
+            ruleId,
+            severity: SECURITY_RULES[ruleId].severity,
+            message: message || SECURITY_RULES[ruleId].message,
+            file,
+            line,
+            column: index - lineStart + 1,
+            snippet: content.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim().slice(0, 160)
+        };
+    }
+
+    toRelativePath(rootPath, filePath) {
+        return path.relative(rootPath, filePath).split(path.sep).join('/');
+    }
+
+    extractInlineScripts(htmlContent) {
+        const scripts = [];
+        const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+        let match;
+
+        while ((match = scriptPattern.exec(htmlContent)) !== null) {
+            const attributes = match[1];
+            const typeMatch = attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i);
+            const type = typeMatch ? typeMatch[1].toLowerCase() : 'text/javascript';
+
+            // External scripts are scanned as files; data blocks and templates are not code
+            if (/\bsrc\s*=/i.test(attributes) || !['text/javascript', 'application/javascript', 'module'].includes(type)) {
+                continue;
+            }
+
+            const contentStart = match.index + match[0].indexOf('>') + 1;
+            scripts.push({
+                code: match[2],
+                lineOffset: htmlContent.slice(0, contentStart).split('\n').length - 1,
+                sourceType: type === 'module' ? 'module' : 'script'
+            });
+        }
+
+        return scripts;
+    }
+
+    addSecurityFindings(scanResult, findings) {
+        scanResult.issues.push(...findings);
+    }
+
+    describeSuppressed(suppressed) {
+        const reasons = { config: 'disabled in config', inline: 'ignored inline', baseline: 'in baseline' };
+        return Object.keys(reasons)
+            .map(reason => [reason, suppressed.filter(issue => issue.reason === reason).length])
+            .filter(([, count]) => count > 0)
+            .map(([reason, count]) => `${count} ${reasons[reason]}`)
+            .join(', ');
+    }
+
+    formatSecurityIssue(issue) {
+        const location = issue.file
+            ? `${issue.file}${issue.line ? `:${issue.line}:${issue.column}` : ''} `
+            : '';
+        const rule = issue.ruleId ? ` [${issue.ruleId}]` : '';
+
+        return `${issue.severity.toUpperCase()}: ${location}${issue.message}${rule}`;
+    }
+
+    async managePermissions(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const subcommand = ['check', 'suggest'].includes(positionals[0]) ? positionals.shift() : 'check';
+        const pluginPath = positionals[0] || process.cwd();
+        const manifestPath = path.join(pluginPath, 'plugin.json');
+
+        log.title('🔑 Plugin Permissions');
+        log.info(`Analyzing plugin at: ${pluginPath}`);
+
+        let manifestContent;
+        let manifest;
+        try {
+            manifestContent = await fs.readFile(manifestPath, 'utf8');
+            manifest = JSON.parse(manifestContent);
+        } catch (e) {
+            log.error('Invalid or missing plugin.json');
+            return false;
+        }
+
+        const declared = Array.isArray(manifest.permissions) ? manifest.permissions : [];
+        const required = await this.inferPermissions(pluginPath, manifest);
+
+        log.subtitle('Required permissions:');
+        if (required.size === 0) {
+            log.info('  None');
+        }
+        for (const [permission, usages] of required) {
+            const status = declared.includes(permission) ? log.success : log.error;
+            status(`${permission} - ${PLUGIN_PERMISSIONS[permission]}`);
+            usages.forEach(usage => console.log(`      ${usage.path} (${usage.file}:${usage.line}:${usage.column})`));
+        }
+
+        const missing = [...required.keys()].filter(permission => !declared.includes(permission));
+        const unused = declared.filter(permission => !required.has(permission));
+
+        if (subcommand === 'check') {
+            missing.forEach(permission => log.error(`Not declared: ${permission}`));
+            unused.forEach(permission => log.warning(`Declared but not used: ${permission}`));
+            if (missing.length === 0 && unused.length === 0) {
+                log.success('Declared permissions match the plugin code');
+            }
+            return missing.length === 0;
+        }
+
+        const suggested = [...required.keys()];
+        log.info(`Minimal permissions: ${suggested.length > 0 ? suggested.join(', ') : '(none)'}`);
+
+        if (suggested.length === declared.length && suggested.every(permission => declared.includes(permission))) {
+            log.success('plugin.json already declares the minimal permission set');
+            return true;
+        }
+
+        if (flags['dry-run']) {
+            log.info('Dry run: plugin.json was not changed');
+            return true;
+        }
+
+        manifest.permissions = suggested;
+        const trailingNewline = manifestContent.endsWith('\n') ? '\n' : '';
+        await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2) + trailingNewline);
+        log.success('Updated permissions in plugin.json');
+
+        return true;
+    }
+
+    /**
+     * Changes a plugin's display name and/or id. The id is rewritten everywhere the
+     * scaffolding uses it: data-tab selectors, handler names, storage keys and package.json.
+     */
+    async renamePlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const pluginPath = positionals[0] || process.cwd();
+        const manifestPath = path.join(pluginPath, 'plugin.json');
+
+        log.title('✏️  Rename Plugin');
+
+        if (typeof flags.name !== 'string' && typeof flags.id !== 'string') {
+            log.error('Usage: rename [path] --name=<display name> and/or --id=<id>');
+            return false;
+        }
+
+        let manifestContent;
+        let manifest;
+        try {
+            manifestContent = await fs.readFile(manifestPath, 'utf8');
+            manifest = JSON.parse(manifestContent);
+        } catch (e) {
+            log.error('Invalid or missing plugin.json');
+            return false;
+        }
+
+        const oldName = manifest.name || path.basename(path.resolve(pluginPath));
+        const newName = typeof flags.name === 'string' ? flags.name : oldName;
+        // Plugins created before ids existed get a stable id pinned from their current name
+        const newId = typeof flags.id === 'string' ? flags.id : this.getPluginId(manifest, oldName);
+
+        for (const [field, value] of [['name', newName], ['id', newId]]) {
+            const problems = [];
+            this.validateAgainstSchema(value, this.getManifestSchema().properties[field], `$.${field}`, problems);
+            if (problems.length > 0) {
+                log.error(`Invalid ${field}: ${problems[0].message}${problems[0].suggestion ? ` (${problems[0].suggestion})` : ''}`);
+                return false;
+            }
+        }
+
+        // Older scaffolding used the lowercased name for handlers and a dashed name for data-tab
+        const oldIds = manifest.id
+            ? [manifest.id]
+            : [oldName.toLowerCase(), oldName.toLowerCase().replace(/\s+/g, '-'), this.toPluginSlug(oldName)];
+        const identifiers = [...new Set(oldIds)].filter(id => id && id !== newId).sort((a, b) => b.length - a.length);
+
+        log.info(`Name: ${oldName} → ${newName}`);
+        log.info(`Id: ${manifest.id || '(none)'} → ${newId}`);
+
+        const updates = new Map();
+        const changes = [];
+        const storageKeys = [];
+        const unchanged = [];
+
+        const { id, ...rest } = { ...manifest, name: newName };
+        const updatedManifest = rest.manifestVersion !== undefined
+            ? { manifestVersion: rest.manifestVersion, id: newId, ...rest }
+            : { id: newId, ...rest };
+        updates.set('plugin.json', JSON.stringify(updatedManifest, null, 2) + (manifestContent.endsWith('\n') ? '\n' : ''));
+        changes.push(`plugin.json: ${[newName !== oldName && 'name', newId !== manifest.id && 'id'].filter(Boolean).join(' and ')}`);
+
+        for (const file of ['package.json', 'package-lock.json']) {
+            let content;
+            try {
+                content = await fs.readFile(path.join(pluginPath, file), 'utf8');
+            } catch (e) {
+                continue;
+            }
+
+            const json = JSON.parse(content);
+            const rename = value => (identifiers.includes(value) ? newId : value);
+            const before = JSON.stringify(json);
+            json.name = rename(json.name);
+            if (json.packages && json.packages['']) {
+                json.packages[''].name = rename(json.packages[''].name);
+            }
+            if (JSON.stringify(json) !== before) {
+                updates.set(file, JSON.stringify(json, null, 2) + (content.endsWith('\n') ? '\n' : ''));
+                changes.push(`${file}: name → ${newId}`);
+            }
+        }
+
+        for (const file of await this.getAllFiles(pluginPath)) {
+            const relativePath = this.toRelativePath(pluginPath, file);
+            const extension = path.extname(file).toLowerCase();
+            if (!['.js', '.cjs', '.mjs', '.html', '.htm'].includes(extension)) {
+                continue;
+            }
+
+            const content = await fs.readFile(file, 'utf8');
+            let result;
+            try {
+                result = extension.startsWith('.htm')
+                    ? this.renameInHTML(content, identifiers, newId, oldName, newName)
+                    : this.renameInJavaScript(content, identifiers, newId);
+            } catch (error) {
+                log.warning(`Skipped ${relativePath}: ${error.message}`);
+                continue;
+            }
+
+            result.review.forEach(match => unchanged.push(`${relativePath}:${match.line}: ${match.value}`));
+
+            if (result.content !== content) {
+                updates.set(relativePath, result.content);
+                result.changes.forEach(change => {
+                    changes.push(`${relativePath}:${change.line}: ${change.from} → ${change.to}`);
+                    if (change.storage) {
+                        storageKeys.push(change.from);
+                    }
+                });
+            }
+        }
+
+        log.subtitle('Changes:');
+        changes.forEach(change => console.log(`  ${change}`));
+        console.log('');
+
+        if (unchanged.length > 0) {
+            log.warning('Left unchanged (not a handler name, storage key or data-tab selector); update by hand any that refer to the plugin id:');
+            unchanged.forEach(match => console.log(`  ${match}`));
+            console.log('');
+        }
+
+        if (storageKeys.length > 0) {
+            log.warning(`Storage keys change (${[...new Set(storageKeys)].join(', ')}); data saved under the old keys is not moved`);
+        }
+
+        if (flags['dry-run']) {
+            log.info('Dry run: no files were changed');
+            return true;
+        }
+
+        for (const [file, content] of updates) {
+            await fs.writeFile(path.join(pluginPath, file), content);
+        }
+        log.success(`Renamed plugin in ${updates.size} file(s)`);
+
+        if (path.basename(path.resolve(pluginPath)) === oldName && newName !== oldName) {
+            log.info(`The folder is still named "${oldName}"; rename it yourself if needed`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Rewrites the old id only where WinTool reads it: plugin ids and handler names passed to
+     * registerHandler()/invoke(), store/storage keys and [data-tab=...] selectors. Any other string
+     * equal to an old id or starting with "<old id>-" is returned in `review` and left unchanged.
+     */
+    renameInJavaScript(code, identifiers, newId) {
+        const acorn = require('acorn');
+        const options = { ecmaVersion: 'latest', sourceType: 'script', allowHashBang: true, allowReturnOutsideFunction: true, locations: true };
+        let ast;
+        try {
+            ast = acorn.parse(code, options);
+        } catch (error) {
+            options.sourceType = 'module';
+            ast = acorn.parse(code, options);
+        }
+
+        const propertyName = node => {
+            if (node.type === 'Identifier') {
+                return node.name;
+            }
+            return node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier' ? node.property.name : null;
+        };
+
+        // Literal arguments that carry the id, mapped to whether they are storage keys:
+        // registerHandler(name), invoke([pluginId,] name), store.get(key), storage.get(pluginId, key)
+        const idArguments = new Map();
+        const literals = [];
+        const visit = node => {
+            if (node.type === 'Literal' && typeof node.value === 'string') {
+                literals.push(node);
+            } else if (node.type === 'CallExpression') {
+                const method = propertyName(node.callee);
+                const owner = node.callee.type === 'MemberExpression' ? propertyName(node.callee.object) : null;
+                let count = 0;
+                let storage = false;
+                if (method === 'registerHandler') {
+                    count = 1;
+                } else if (method === 'invoke') {
+                    count = 2;
+                } else if (['get', 'set', 'has', 'delete'].includes(method) && (owner === 'store' || owner === 'storage')) {
+                    count = owner === 'store' ? 1 : 2;
+                    storage = true;
+                }
+                node.arguments.slice(0, count)
+                    .filter(argument => argument.type === 'Literal' && typeof argument.value === 'string')
+                    .forEach(argument => idArguments.set(argument, storage));
+            }
+
+            for (const key of Object.keys(node)) {
+                if (key === 'loc') {
+                    continue;
+                }
+                const value = node[key];
+                for (const child of Array.isArray(value) ? value : [value]) {
+                    if (child && typeof child.type === 'string') {
+                        visit(child);
+                    }
+                }
+            }
+        };
+        visit(ast);
+
+        const edits = [];
+        const changes = [];
+        const review = [];
+
+        for (const literal of literals.sort((a, b) => a.start - b.start)) {
+            const raw = code.slice(literal.start + 1, literal.end - 1);
+            const renamed = idArguments.has(literal)
+                ? this.renameIdentifier(raw, identifiers, newId)
+                : this.renameTabSelectors(raw, identifiers, newId);
+
+            if (renamed !== raw) {
+                edits.push({ start: literal.start + 1, end: literal.end - 1, text: renamed });
+                changes.push({ line: literal.loc.start.line, from: raw, to: renamed, storage: idArguments.get(literal) === true });
+            } else if (this.renameIdentifier(raw, identifiers, newId) !== raw) {
+                review.push({ line: literal.loc.start.line, value: raw });
+            }
+        }
+
+        let content = code;
+        for (const edit of edits.reverse()) {
+            content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+        }
+
+        return { content, changes, review };
+    }
+
+    renameInHTML(content, identifiers, newId, oldName, newName) {
+        const changes = [];
+        const lineOf = index => content.slice(0, index).split('\n').length;
+
+        let updated = content.replace(/data-tab=(["'])([^"']*)\1/g, (match, quote, value, index) => {
+            const renamed = this.renameIdentifier(value, identifiers, newId);
+            if (renamed !== value) {
+                changes.push({ line: lineOf(index), from: value, to: renamed });
+            }
+            return `data-tab=${quote}${renamed}${quote}`;
+        });
+
+        // The display name is only replaced as a whole word in <title> and heading text; prose,
+        // attributes and <script>/<style> content may use the same words for something else
+        if (newName !== oldName) {
+            const escapedName = oldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const namePattern = new RegExp(`(?<![\\w-])${escapedName}(?![\\w-])`, 'g');
+            updated = updated.replace(/<(script|style)\b[\s\S]*?<\/\1\s*>|(<(title|h[1-6])\b[^>]*>)([\s\S]*?)(<\/\3\s*>)/gi,
+                (match, raw, open, tag, text, close, index) => {
+                    if (raw) {
+                        return match;
+                    }
+                    const renamed = text.replace(/(^|>)([^<]*)/g, (part, start, words) => start + words.replace(namePattern, () => {
+                        changes.push({ line: lineOf(index), from: oldName, to: newName });
+                        return newName;
+                    }));
+                    return `${open}${renamed}${close}`;
+                });
+        }
+
+        return { content: updated, changes, review: [] };
+    }
+
+    renameIdentifier(value, identifiers, newId) {
+        for (const id of identifiers) {
+            if (value === id || value.startsWith(`${id}-`)) {
+                return newId + value.slice(id.length);
+            }
+        }
+        return this.renameTabSelectors(value, identifiers, newId);
+    }
+
+    renameTabSelectors(value, identifiers, newId) {
+        return value.replace(/(\[data-tab=(["']))([^"']*)(\2\])/g, (match, prefix, quote, tab, suffix) =>
+            (identifiers.includes(tab) ? `${prefix}${newId}${suffix}` : match));
+    }
+
+    async fixPlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const pluginPath = positionals[0] || process.cwd();
+
+        log.title('🩹 Fix Plugin');
+
+        try {
+            JSON.parse(await fs.readFile(path.join(pluginPath, 'plugin.json'), 'utf8'));
+        } catch (e) {
+            log.error('Invalid or missing plugin.json');
+            return false;
+        }
+
+        const config = await this.loadPluginConfig(pluginPath);
+        const warnings = [...config.warnings];
+        const rules = await this.loadLintRules(pluginPath, config, { warnings });
+        warnings.forEach(warning => log.warning(warning));
+
+        // Fixers run in registry order, each one seeing the output of the previous ones
+        const context = await this.createLintContext(pluginPath, { exclude: rules.map(rule => rule.modulePath), ignorePatterns: config.ignorePatterns });
+        for (const rule of rules) {
+            const setting = config.rules[rule.id];
+            if (!rule.fix || setting === 'off' || setting === false) {
+                continue;
+            }
+            try {
+                await rule.fix(context);
+            } catch (error) {
+                context.notes.push(`${rule.id}: fixer failed (${error.message})`);
+            }
+        }
+
+        const changedFiles = [...context.changes.keys()].filter(file => context.read(file) !== context.originals.get(file));
+
+        for (const file of changedFiles) {
+            log.subtitle(`${file}:`);
+            context.changes.get(file).forEach(change => console.log(`  ${colors.green}✓${colors.reset} ${change}`));
+            console.log('');
+            this.createUnifiedDiff(file, context.originals.get(file), context.read(file)).forEach(line => {
+                const color = line.startsWith('@@') ? colors.cyan
+                    : line.startsWith('+') ? colors.green
+                        : line.startsWith('-') ? colors.red : '';
+                console.log(color ? `${color}${line}${colors.reset}` : line);
+            });
+            console.log('');
+        }
+
+        if (context.notes.length > 0) {
+            log.subtitle('Needs a manual fix:');
+            context.notes.forEach(note => log.warning(`  ${note}`));
+            console.log('');
+        }
+
+        if (changedFiles.length === 0) {
+            log.success('Nothing to fix');
+            return true;
+        }
+
+        const changeCount = changedFiles.reduce((total, file) => total + context.changes.get(file).length, 0);
+        if (!flags.write) {
+            log.info(`${changeCount} change(s) in ${changedFiles.length} file(s); run again with --write to apply them`);
+            return true;
+        }
+
+        for (const file of changedFiles) {
+            await fs.writeFile(path.join(pluginPath, file), context.read(file));
+        }
+        log.success(`Applied ${changeCount} change(s) to ${changedFiles.length} file(s)`);
+        return true;
+    }
+
+    // Parses a script with scopes and parent links so codemods can resolve globals the way the security scan does
+    parseFixableScript(code, options) {
+        const analyzer = new JavaScriptAnalyzer(code, options.file, { sourceType: options.sourceType });
+        const result = analyzer.analyze();
+        const parseError = result.findings.find(finding => finding.ruleId === 'parse-error');
+        if (parseError) {
+            throw new Error(`line ${parseError.line}: ${parseError.message}`);
+        }
+        analyzer.nodes = [analyzer.ast, ...analyzer.parents.keys()];
+        return analyzer;
+    }
+
+    // Names visible from a node's scope, e.g. whether `container` is already declared there
+    isNameInScope(analyzer, node, name) {
+        let scope = null;
+        for (let current = node; current && !scope; current = analyzer.parents.get(current)) {
+            scope = analyzer.scopeManager.acquire(current, true);
+        }
+        for (scope = scope || analyzer.scopeManager.globalScope; scope; scope = scope.upper) {
+            if (scope.set.has(name)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    applyTextEdits(code, edits) {
+        let content = code;
+        for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+            content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+        }
+        return content;
+    }
+
+    // Fixers leave lines alone that a wintool-ignore-next-line comment suppresses for the rule
+    isLineIgnored(code, line, ruleId) {
+        const match = line > 1 ? IGNORE_COMMENT_PATTERN.exec(code.split(/\r?\n/)[line - 2]) : null;
+        return Boolean(match) && (!match[1] || match[1].split(/[\s,]+/).includes(ruleId));
+    }
+
+    getLineIndent(code, index) {
+        const lineStart = code.lastIndexOf('\n', index - 1) + 1;
+        return code.slice(lineStart).match(/^[ \t]*/)[0];
+    }
+
+    getContainerDiscoveryLines(id) {
+        return [
+            '// Find the container (see PLUGIN_BUTTON_GUIDE.md)',
+            'let container = null;',
+            'if (typeof tabContainer !== \'undefined\') {',
+            '    container = tabContainer;',
+            '}',
+            'if (!container) {',
+            `    container = document.querySelector('[data-tab="${id}"]');`,
+            '}'
+        ];
+    }
+
+    findDOMContentLoadedListeners(analyzer) {
+        return analyzer.nodes.filter(node => node.type === 'CallExpression' && node.arguments.length >= 2 &&
+            ['document.addEventListener', 'addEventListener'].includes(analyzer.resolveGlobal(node.callee)) &&
+            analyzer.getStaticValue(node.arguments[0]) === 'DOMContentLoaded');
+    }
+
+    findGetElementByIdCalls(analyzer) {
+        return analyzer.nodes.filter(node => node.type === 'CallExpression' && node.arguments.length === 1 &&
+            node.arguments[0].type !== 'SpreadElement' && analyzer.resolveGlobal(node.callee) === 'document.getElementById');
+    }
+
+    callsMarkTabAsReady(analyzer) {
+        return analyzer.nodes.some(node => node.type === 'CallExpression' && analyzer.resolveGlobal(node.callee) === 'markTabAsReady');
+    }
+
+    // document.addEventListener('DOMContentLoaded', fn) never fires for plugins, which load after the page
+    unwrapDOMContentLoaded(code, options) {
+        const analyzer = this.parseFixableScript(code, options);
+        const edits = [];
+        const changes = [];
+        const notes = [];
+        const globalScope = analyzer.scopeManager.globalScope;
+        let hasContainer = options.containerDeclared || globalScope.set.has('container');
+        const usedNames = new Set(globalScope.set.keys());
+
+        for (const node of this.findDOMContentLoadedListeners(analyzer)) {
+            const line = node.loc.start.line;
+            if (this.isLineIgnored(code, line, 'no-dom-content-loaded')) {
+                continue;
+            }
+
+            const statement = analyzer.parents.get(node);
+            if (!statement || statement.type !== 'ExpressionStatement' || analyzer.parents.get(statement) !== analyzer.ast) {
+                notes.push(`line ${line}: DOMContentLoaded listener is not a top-level statement`);
+                continue;
+            }
+
+            const handler = node.arguments[1];
+            const indent = this.getLineIndent(code, statement.start);
+            const lines = [];
+
+            if (!hasContainer) {
+                lines.push(...this.getContainerDiscoveryLines(options.id), '');
+                hasContainer = true;
+            }
+
+            if (handler.type === 'Identifier') {
+                lines.push('if (container) {', `    ${handler.name}(container);`, '}');
+                changes.push(`Replaced the DOMContentLoaded listener with a direct ${handler.name}(container) call`);
+            } else if (handler.type === 'FunctionExpression' || handler.type === 'ArrowFunctionExpression') {
+                const usesArguments = analyzer.scopeManager.getDeclaredVariables(handler)
+                    .some(variable => variable.defs.some(def => def.type === 'Parameter') && variable.references.length > 0);
+                if (usesArguments) {
+                    notes.push(`line ${line}: DOMContentLoaded handler uses its event argument`);
+                    continue;
+                }
+
+                let name = 'initializePlugin';
+                for (let suffix = 2; usedNames.has(name); suffix++) {
+                    name = `initializePlugin${suffix}`;
+                }
+                usedNames.add(name);
+
+                const body = handler.body.type === 'BlockStatement'
+                    ? code.slice(handler.body.start, handler.body.end)
+                    : `{\n    ${code.slice(handler.body.start, handler.body.end)};\n}`;
+                lines.push('if (container) {', `    ${name}(container);`, '}', '');
+                lines.push(`${handler.async ? 'async ' : ''}function ${name}(container) ${body}`);
+                changes.push(`Moved the DOMContentLoaded handler into ${name}(container), called once the container is found`);
+            } else {
+                notes.push(`line ${line}: DOMContentLoaded handler is not a function`);
+                continue;
+            }
+
+            // Only the first line is indented here; the moved body keeps its own indentation
+            const text = lines.map((text, index) => (index === 0 || text === '' ? text : indent + text)).join('\n');
+            edits.push({ start: statement.start, end: statement.end, text });
+        }
+
+        return { content: this.applyTextEdits(code, edits), changes, notes };
+    }
+
+    // document.getElementById('x') → container.querySelector('#x')
+    replaceGetElementById(code, options) {
+        const analyzer = this.parseFixableScript(code, options);
+        const edits = [];
+        const changes = [];
+        const notes = [];
+        let needsContainer = false;
+
+        for (const node of this.findGetElementByIdCalls(analyzer)) {
+            if (this.isLineIgnored(code, node.loc.start.line, 'container-scoping')) {
+                continue;
+            }
+
+            // const container = document.getElementById(...) cannot use itself
+            let declarator = analyzer.parents.get(node);
+            while (declarator && !['VariableDeclarator', 'Program'].includes(declarator.type) && !/Function/.test(declarator.type)) {
+                declarator = analyzer.parents.get(declarator);
+            }
+            if (declarator && declarator.type === 'VariableDeclarator' && declarator.id.type === 'Identifier' && declarator.id.name === 'container') {
+                notes.push(`line ${node.loc.start.line}: container itself is found with document.getElementById`);
+                continue;
+            }
+
+            const argument = node.arguments[0];
+            // Only literal ids are inlined; expressions keep their code and are escaped at runtime
+            const isLiteral = (argument.type === 'Literal' && typeof argument.value === 'string') ||
+                (argument.type === 'TemplateLiteral' && argument.expressions.length === 0);
+            const value = isLiteral ? analyzer.getStaticValue(argument) : null;
+            let selector;
+            if (value !== null) {
+                const quote = argument.type === 'Literal' && code[argument.start] === '"' ? '"' : '\'';
+                const css = /^-?[A-Za-z_][\w-]*$/.test(value) ? `#${value}` : `[id="${value.replace(/["\\]/g, '\\$&')}"]`;
+                selector = quote + css.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`) + quote;
+            } else {
+                selector = `'#' + CSS.escape(${code.slice(argument.start, argument.end)})`;
+            }
+
+            if (!options.containerDeclared && !this.isNameInScope(analyzer, node, 'container')) {
+                needsContainer = true;
+            }
+
+            const replacement = `container.querySelector(${selector})`;
+            edits.push({ start: node.start, end: node.end, text: replacement });
+            changes.push(`${code.slice(node.start, node.end)} → ${replacement}`);
+        }
+
+        if (needsContainer) {
+            // Insert after leading comments and directives so the file header stays on top
+            const body = analyzer.ast.body;
+            let index = 0;
+            while (index < body.length && body[index].directive) {
+                index++;
+            }
+            const position = index < body.length ? body[index].start : code.length;
+            const before = index > 0 && index >= body.length ? '\n\n' : '';
+            edits.push({ start: position, end: position, text: `${before}${this.getContainerDiscoveryLines(options.id).join('\n')}\n\n` });
+            changes.push('Added the container lookup used by container.querySelector()');
+        }
+
+        return { content: this.applyTextEdits(code, edits), changes, notes };
+    }
+
+    // Functions that inline on*="name()" handlers call, mapped to where they are used
+    collectInlineHandlers(context) {
+        const handlers = new Map();
+        const attributePattern = /\son[a-z]+\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+        const callPattern = /(^|[^.\w$])([A-Za-z_$][\w$]*)\s*\(/g;
+        const keywords = ['if', 'for', 'while', 'switch', 'return', 'typeof', 'function', 'catch', 'new', 'void', 'await'];
+
+        for (const file of context.pages) {
+            const content = context.read(file);
+            let match;
+            while ((match = attributePattern.exec(content)) !== null) {
+                const handler = match[1] !== undefined ? match[1] : match[2];
+                const line = content.slice(0, match.index).split('\n').length;
+                let call;
+                while ((call = callPattern.exec(handler)) !== null) {
+                    const name = call[2];
+                    if (!keywords.includes(name)) {
+                        handlers.set(name, [...(handlers.get(name) || []), { file, line }]);
+                    }
+                }
+            }
+        }
+
+        return handlers;
+    }
+
+    // Names already assigned to window.<name> (or globalThis/self)
+    findWindowAssignments(analyzer) {
+        return analyzer.nodes
+            .filter(node => node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+                analyzer.resolveGlobal(node.left.object) === 'window')
+            .map(node => analyzer.getPropertyName(node.left))
+            .filter(name => name !== null);
+    }
+
+    // function name() {} and const name = () => {} declarations, with the statement to insert after
+    findHandlerDeclarations(analyzer, names) {
+        const declarations = [];
+
+        for (const node of analyzer.nodes) {
+            let name = null;
+            if (node.type === 'FunctionDeclaration' && node.id) {
+                name = node.id.name;
+            } else if (node.type === 'VariableDeclaration' && node.declarations.length === 1) {
+                const declarator = node.declarations[0];
+                if (declarator.id.type === 'Identifier' && declarator.init && /Function/.test(declarator.init.type)) {
+                    name = declarator.id.name;
+                }
+            }
+
+            if (!name || !names.has(name) || declarations.some(declaration => declaration.name === name)) {
+                continue;
+            }
+
+            // export function name() {} is followed by the assignment, not split by it
+            const parent = analyzer.parents.get(node);
+            declarations.push({ name, node, statement: parent && /^Export/.test(parent.type) ? parent : node });
+        }
+
+        return declarations;
+    }
+
+    // Inline handlers whose function is not on window: declared in a script (fixable) or not found at all
+    findInlineHandlerProblems(context) {
+        const handlers = this.collectInlineHandlers(context);
+        const exposed = new Set();
+        const declarations = new Map();
+
+        for (const file of context.scripts) {
+            const analyzer = context.parse(file);
+            if (!analyzer) {
+                continue;
+            }
+            this.findWindowAssignments(analyzer).forEach(name => exposed.add(name));
+            this.findHandlerDeclarations(analyzer, handlers).forEach(declaration => {
+                if (!declarations.has(declaration.name)) {
+                    declarations.set(declaration.name, { file, line: declaration.node.loc.start.line, column: declaration.node.loc.start.column + 1 });
+                }
+            });
+        }
+
+        return [...handlers]
+            .filter(([name]) => !exposed.has(name) && (declarations.has(name) || !INLINE_HANDLER_GLOBALS.includes(name)))
+            .map(([name, locations]) => ({ name, locations, declaration: declarations.get(name) || null }));
+    }
+
+    // onclick="name()" resolves against window, so functions declared in the plugin script must be exposed
+    exposeInlineHandlers(code, handlers, options) {
+        const analyzer = this.parseFixableScript(code, options);
+        const edits = [];
+        const changes = [];
+
+        for (const declaration of this.findHandlerDeclarations(analyzer, handlers)) {
+            const { name, node, statement } = declaration;
+            if (this.isLineIgnored(code, node.loc.start.line, 'inline-handler-global')) {
+                continue;
+            }
+            edits.push({ start: statement.end, end: statement.end, text: `\n${this.getLineIndent(code, statement.start)}window.${name} = ${name};` });
+            changes.push(`Exposed ${name}() on window for ${handlers.get(name).map(location => `${location.file}:${location.line}`).join(', ')}`);
+        }
+
+        return { content: this.applyTextEdits(code, edits), changes, notes: [] };
+    }
+
+    // Scripts in the order the main page loads them, then the rest; the first is treated as the main script
+    async orderPageScripts(pluginPath, manifest, scripts) {
+        const ordered = [];
+
+        try {
+            const mainPath = path.join(pluginPath, manifest.main || 'index.html');
+            const html = await fs.readFile(mainPath, 'utf8');
+            const sourcePattern = /<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi;
+            let match;
+            while ((match = sourcePattern.exec(html)) !== null) {
+                const file = this.toRelativePath(pluginPath, path.resolve(path.dirname(mainPath), match[1]));
+                if (scripts.includes(file) && !ordered.includes(file)) {
+                    ordered.push(file);
+                }
+            }
+        } catch (e) {
+            // No main page; fall back to the conventional name
+        }
+
+        if (ordered.length === 0 && scripts.includes('script.js')) {
+            ordered.push('script.js');
+        }
+        return [...ordered, ...scripts.filter(file => !ordered.includes(file))];
+    }
+
+    insertMarkTabAsReady(code, options) {
+        const analyzer = this.parseFixableScript(code, options);
+        const lines = [
+            '// Signal that this tab is ready after initialization',
+            'if (window.markTabAsReady && typeof tabId !== \'undefined\') {',
+            '    window.markTabAsReady(tabId);',
+            '}'
+        ];
+
+        const initializer = analyzer.ast.body.find(node => node.type === 'FunctionDeclaration' && node.id && node.id.name === 'initializePlugin');
+        let edit;
+        if (initializer) {
+            const closingBrace = initializer.body.end - 1;
+            const braceIndent = this.getLineIndent(code, closingBrace);
+            const indent = braceIndent + options.indent;
+            const lineStart = code.lastIndexOf('\n', closingBrace - 1) + 1;
+            const text = lines.map(line => indent + line).join('\n');
+            edit = code.slice(lineStart, closingBrace).trim() === ''
+                ? { start: lineStart, end: lineStart, text: `\n${text}\n` }
+                : { start: closingBrace, end: closingBrace, text: `\n\n${text}\n${braceIndent}` };
+        } else {
+            const trimmed = code.replace(/\s*$/, '');
+            edit = { start: trimmed.length, end: code.length, text: `\n\n${lines.join('\n')}\n` };
+        }
+
+        return {
+            content: this.applyTextEdits(code, [edit]),
+            changes: [`Added markTabAsReady(tabId) at the end of ${initializer ? 'initializePlugin()' : 'the script'}`],
+            notes: []
+        };
+    }
+
+    // Line-based unified diff (LCS over the region between the common prefix and suffix)
+    createUnifiedDiff(file, before, after, contextLines = 3) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const n = endA - start;
+        const m = endB - start;
+        const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i][j] = a[start + i] === b[start + j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const ops = a.slice(0, start).map(text => ({ type: ' ', text }));
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push({ type: ' ', text: a[start + i] });
+                i++;
+                j++;
+            } else if (i < n && (j >= m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                ops.push({ type: '-', text: a[start + i] });
+                i++;
+            } else {
+                ops.push({ type: '+', text: b[start + j] });
+                j++;
+            }
+        }
+        ops.push(...a.slice(endA).map(text => ({ type: ' ', text })));
+
+        // Number every op, then group changes that are within 2 * contextLines of each other
+        let oldLine = 1;
+        let newLine = 1;
+        ops.forEach(op => {
+            op.oldLine = oldLine;
+            op.newLine = newLine;
+            oldLine += op.type === '+' ? 0 : 1;
+            newLine += op.type === '-' ? 0 : 1;
+        });
+
+        const output = [`--- a/${file}`, `+++ b/${file}`];
+        let index = 0;
+        while (index < ops.length) {
+            if (ops[index].type === ' ') {
+                index++;
+                continue;
+            }
+
+            const hunkStart = Math.max(0, index - contextLines);
+            let hunkEnd = index;
+            while (hunkEnd < ops.length) {
+                let next = hunkEnd;
+                while (next < ops.length && ops[next].type !== ' ') {
+                    next++;
+                }
+                let gap = next;
+                while (gap < ops.length && ops[gap].type === ' ') {
+                    gap++;
+                }
+                if (gap < ops.length && gap - next <= contextLines * 2) {
+                    hunkEnd = gap;
+                } else {
+                    hunkEnd = Math.min(ops.length, next + contextLines);
+                    break;
+                }
+            }
+
+            const hunk = ops.slice(hunkStart, hunkEnd);
+            const oldCount = hunk.filter(op => op.type !== '+').length;
+            const newCount = hunk.filter(op => op.type !== '-').length;
+            output.push(`@@ -${hunk[0].oldLine},${oldCount} +${hunk[0].newLine},${newCount} @@`);
+            hunk.forEach(op => output.push(`${op.type}${op.text}`));
+            index = hunkEnd;
+        }
+
+        return output;
+    }
+
+    async auditDependencies(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+
+        log.title('📦 Dependency Audit');
+
+        if (typeof flags['update-advisories'] === 'string') {
+            return await this.updateAdvisoryDatabase(flags['update-advisories'], flags);
+        }
+
+        const pluginPath = path.resolve(positionals[0] || process.cwd());
+        log.info(`Auditing dependencies of: ${pluginPath}`);
+
+        let packageJson;
+        try {
+            packageJson = JSON.parse(await fs.readFile(path.join(pluginPath, 'package.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.success('No package.json; the plugin has no npm dependencies');
+                return true;
+            }
+            log.error(`Invalid package.json: ${error.message}`);
+            return false;
+        }
+
+        const declared = Object.keys(packageJson.dependencies || {});
+        const lockfile = await this.loadLockfile(pluginPath);
+        const hasNodeModules = await this.pathExists(path.join(pluginPath, 'node_modules'));
+        const installed = hasNodeModules ? await this.collectInstalledPackages(pluginPath) : [];
+        const warnings = [];
+
+        if (!lockfile) {
+            warnings.push(`No ${LOCKFILE_NAMES.join(' or ')}; dependency versions are not pinned`);
+        }
+
+        if (!hasNodeModules) {
+            if (declared.length > 0) {
+                warnings.push('node_modules is missing; npm install was never run');
+            }
+        } else {
+            const topLevel = new Set(installed.filter(pkg => !pkg.location.includes('/node_modules/')).map(pkg => pkg.name));
+            declared.filter(name => !topLevel.has(name))
+                .forEach(name => warnings.push(`${name} is declared but not installed; run npm install`));
+
+            if (lockfile) {
+                const locked = new Map(lockfile.packages.map(pkg => [pkg.location, pkg.version]));
+                installed.filter(pkg => locked.has(pkg.location) && locked.get(pkg.location) !== pkg.version)
+                    .forEach(pkg => warnings.push(`${pkg.name}@${pkg.version} does not match ${lockfile.file} (${locked.get(pkg.location)}); run npm install`));
+            }
+        }
+
+        // Sizes and native files need node_modules; without it, fall back to what the lockfile records
+        const fromLockfile = !hasNodeModules && Boolean(lockfile);
+        const packages = fromLockfile ? lockfile.packages : installed;
+
+        log.subtitle(`Packages (${packages.length}${fromLockfile ? `, from ${lockfile.file}` : ''}):`);
+        if (packages.length === 0) {
+            log.info('  None');
+        }
+
+        const bySize = [...packages].sort((a, b) => (b.size || 0) - (a.size || 0) || a.location.localeCompare(b.location));
+        for (const pkg of bySize) {
+            const tags = [];
+            if (pkg.native) {
+                tags.push(`${colors.red}native addon${colors.reset}`);
+            }
+            if (pkg.installScripts.length > 0) {
+                tags.push(`${colors.yellow}install script${colors.reset}`);
+            }
+            if (pkg.dev) {
+                tags.push('dev');
+            }
+            const size = pkg.size === undefined ? '' : ` ${colors.cyan}(${this.formatFileSize(pkg.size)})${colors.reset}`;
+            console.log(`  ${pkg.name}@${pkg.version || '?'}${size}${tags.length > 0 ? ` - ${tags.join(', ')}` : ''}`);
+        }
+
+        if (!fromLockfile && packages.length > 0) {
+            const total = packages.reduce((sum, pkg) => sum + pkg.size, 0);
+            console.log(`  ${colors.cyan}Total:${colors.reset} ${this.formatFileSize(total)}`);
+        }
+        console.log('');
+
+        // Both run code on the user's machine when WinTool installs the plugin's dependencies
+        log.subtitle('Native addons and install scripts:');
+        const risky = packages.filter(pkg => pkg.native || pkg.installScripts.length > 0);
+        if (risky.length === 0) {
+            log.success('  None');
+        }
+        for (const pkg of risky) {
+            if (pkg.native) {
+                log.warning(`  ${pkg.name} ships a native addon${pkg.nativeFiles.length > 0 ? ` (${pkg.nativeFiles.join(', ')})` : ''}`);
+            }
+            pkg.installScripts.forEach(script => log.warning(`  ${pkg.name} runs an install script: ${script}`));
+        }
+        console.log('');
+
+        log.subtitle('Advisories:');
+        const advisoryPath = this.getAdvisoryDatabasePath(flags);
+        const advisoryDb = await this.loadAdvisoryDatabase(advisoryPath);
+        const config = await this.loadPluginConfig(pluginPath);
+        const threshold = SEVERITY_LEVELS.indexOf(config.failOn);
+        let failed = 0;
+
+        if (!advisoryDb) {
+            log.warning(`  No advisory database at ${advisoryPath}`);
+            log.info('  Install one with: wintool-plugin-cli audit --update-advisories=<file|url>');
+        } else {
+            let matched = 0;
+
+            for (const pkg of packages) {
+                for (const advisory of advisoryDb.advisories) {
+                    if (advisory.package !== pkg.name || !this.satisfiesVersionRange(pkg.version, advisory.vulnerable)) {
+                        continue;
+                    }
+
+                    matched++;
+                    const severity = this.normalizeAdvisorySeverity(advisory.severity);
+                    const failing = SEVERITY_LEVELS.indexOf(severity) >= threshold;
+                    if (failing) {
+                        failed++;
+                    }
+                    (failing ? log.error : log.warning)(`  [${severity.toUpperCase()}] ${pkg.name}@${pkg.version}: ${advisory.title || advisory.id}`);
+                    if (advisory.url) {
+                        console.log(`      ${advisory.url}`);
+                    }
+                }
+            }
+
+            if (matched === 0) {
+                log.success('  No known vulnerable packages');
+            }
+            log.info(`  Checked against ${advisoryDb.advisories.length} advisories${advisoryDb.updated ? ` (updated ${advisoryDb.updated})` : ''}`);
+        }
+        console.log('');
+
+        if (warnings.length > 0) {
+            log.subtitle('Warnings:');
+            warnings.forEach(warning => log.warning(`  ${warning}`));
+            console.log('');
+        }
+
+        if (failed > 0) {
+            log.error(`Audit failed: ${failed} advisory match(es) at or above "${config.failOn}" severity`);
+            return false;
+        }
+
+        log.success('Audit passed');
+        return true;
+    }
+
+    async loadLockfile(pluginPath) {
+        for (const file of LOCKFILE_NAMES) {
+            let lock;
+            try {
+                lock = JSON.parse(await fs.readFile(path.join(pluginPath, file), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    continue;
+                }
+                throw new Error(`Invalid ${file}: ${error.message}`);
+            }
+
+            const packages = [];
+
+            if (lock.packages) {
+                // lockfileVersion 2 and 3: flat map keyed by install location
+                for (const [location, entry] of Object.entries(lock.packages)) {
+                    if (!location || entry.link) {
+                        continue;
+                    }
+                    packages.push(this.toAuditPackage(location, {
+                        name: entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length),
+                        version: entry.version,
+                        dev: Boolean(entry.dev),
+                        installScripts: entry.hasInstallScript ? ['(recorded in lockfile)'] : [],
+                        license: this.getPackageLicense(entry),
+                        integrity: entry.integrity,
+                        dependencies: Object.keys({ ...entry.dependencies, ...entry.optionalDependencies }),
+                        optionalDependencies: Object.keys(entry.optionalDependencies || {})
+                    }));
+                }
+            } else {
+                // lockfileVersion 1: nested dependencies objects
+                const walk = (dependencies, prefix) => {
+                    for (const [name, entry] of Object.entries(dependencies || {})) {
+                        const location = `${prefix}node_modules/${name}`;
+                        packages.push(this.toAuditPackage(location, {
+                            name,
+                            version: entry.version,
+                            dev: Boolean(entry.dev),
+                            integrity: entry.integrity,
+                            dependencies: Object.keys(entry.requires || {})
+                        }));
+                        walk(entry.dependencies, `${location}/`);
+                    }
+                };
+                walk(lock.dependencies, '');
+            }
+
+            return { file, packages };
+        }
+
+        return null;
+    }
+
+    async collectInstalledPackages(pluginPath) {
+        const packages = [];
+
+        const walk = async (modulesPath) => {
+            let entries;
+            try {
+                entries = await fs.readdir(modulesPath, { withFileTypes: true });
+            } catch (e) {
+                return;
+            }
+
+            for (const entry of entries) {
+                if (!entry.isDirectory() || entry.name.startsWith('.')) {
+                    continue;
+                }
+
+                const packagePath = path.join(modulesPath, entry.name);
+                if (entry.name.startsWith('@')) {
+                    await walk(packagePath);
+                    continue;
+                }
+
+                let manifest;
+                try {
+                    manifest = JSON.parse(await fs.readFile(path.join(packagePath, 'package.json'), 'utf8'));
+                } catch (e) {
+                    continue;
+                }
+
+                const contents = await this.measurePackageDirectory(packagePath);
+                const scripts = manifest.scripts || {};
+                const installScripts = INSTALL_SCRIPT_NAMES.filter(name => scripts[name]).map(name => `${name}: ${scripts[name]}`);
+
+                // npm runs "node-gyp rebuild" for a binding.gyp when the package defines no install script
+                if (contents.nativeFiles.includes('binding.gyp') && !scripts.install && !scripts.preinstall) {
+                    installScripts.push('install: node-gyp rebuild (implicit)');
+                }
+
+                packages.push(this.toAuditPackage(this.toRelativePath(pluginPath, packagePath), {
+                    name: manifest.name || entry.name,
+                    version: manifest.version,
+                    size: contents.size,
+                    native: contents.nativeFiles.length > 0 || manifest.gypfile === true,
+                    nativeFiles: contents.nativeFiles,
+                    installScripts,
+                    license: this.getPackageLicense(manifest),
+                    dependencies: Object.keys({ ...manifest.dependencies, ...manifest.optionalDependencies }),
+                    optionalDependencies: Object.keys(manifest.optionalDependencies || {}),
+                    path: packagePath,
+                    files: contents.files
+                }));
+
+                await walk(path.join(packagePath, 'node_modules'));
+            }
+        };
+
+        await walk(path.join(pluginPath, 'node_modules'));
+        return packages;
+    }
+
+    toAuditPackage(location, details) {
+        return {
+            location,
+            native: false,
+            nativeFiles: [],
+            installScripts: [],
+            dev: false,
+            license: null,
+            dependencies: [],
+            optionalDependencies: [],
+            ...details
+        };
+    }
+
+    // Size of a package excluding its nested node_modules, which are counted as packages of their own
+    async measurePackageDirectory(packagePath) {
+        const result = { size: 0, nativeFiles: [], files: [] };
+
+        const traverse = async (currentPath) => {
+            const entries = await fs.readdir(currentPath, { withFileTypes: true });
+
+            for (const entry of entries) {
+                const entryPath = path.join(currentPath, entry.name);
+
+                if (entry.isDirectory()) {
+                    if (!(currentPath === packagePath && entry.name === 'node_modules')) {
+                        await traverse(entryPath);
+                    }
+                } else if (entry.isFile()) {
+                    result.size += (await fs.stat(entryPath)).size;
+                    result.files.push(this.toRelativePath(packagePath, entryPath));
+                    if (entry.name === 'binding.gyp' || path.extname(entry.name) === '.node') {
+                        result.nativeFiles.push(this.toRelativePath(packagePath, entryPath));
+                    }
+                }
+            }
+        };
+
+        await traverse(packagePath);
+        return result;
+    }
+
+    getAdvisoryDatabasePath(flags = {}) {
+        return typeof flags.advisories === 'string' ? path.resolve(flags.advisories) : ADVISORY_DB_PATH;
+    }
+
+    async loadAdvisoryDatabase(dbPath) {
+        let content;
+        try {
+            content = await fs.readFile(dbPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        return this.parseAdvisoryDatabase(content, dbPath);
+    }
+
+    parseAdvisoryDatabase(content, source) {
+        let db;
+        try {
+            db = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid advisory database ${source}: ${error.message}`);
+        }
+
+        if (!db || !Array.isArray(db.advisories)) {
+            throw new Error(`Invalid advisory database ${source}: expected an "advisories" array`);
+        }
+
+        db.advisories.forEach((advisory, index) => {
+            if (!advisory || typeof advisory.package !== 'string' || typeof advisory.vulnerable !== 'string') {
+                throw new Error(`Invalid advisory database ${source}: advisory ${index} needs "package" and "vulnerable"`);
+            }
+            try {
+                this.toSemverRange(advisory.vulnerable);
+            } catch (error) {
+                throw new Error(`Invalid advisory database ${source}: advisory ${index} (${advisory.package}): ${error.message}`);
+            }
+        });
+
+        return db;
+    }
+
+    async updateAdvisoryDatabase(source, flags) {
+        const dbPath = this.getAdvisoryDatabasePath(flags);
+        log.info(`Updating advisory database from: ${source}`);
+
+        const content = this.isRemoteRegistry(source)
+            ? await this.fetchText(source)
+            : await fs.readFile(path.resolve(source), 'utf8');
+        const db = this.parseAdvisoryDatabase(content, source);
+
+        await fs.mkdir(path.dirname(dbPath), { recursive: true });
+        await fs.writeFile(dbPath, JSON.stringify(db, null, 2) + '\n');
+
+        log.success(`Saved ${db.advisories.length} advisories to ${dbPath}`);
+        return true;
+    }
+
+    // npm advisories use low/moderate/high/critical; map them onto the CLI's three levels
+    normalizeAdvisorySeverity(severity) {
+        const value = String(severity || 'high').toLowerCase();
+        if (value === 'moderate') {
+            return 'medium';
+        }
+        if (value === 'critical') {
+            return 'high';
+        }
+        return SEVERITY_LEVELS.includes(value) ? value : 'high';
+    }
+
+    // npm range syntax plus the comma-separated comparators GitHub advisories use (">= 1.0.0, < 1.2.3")
+    toSemverRange(range) {
+        const semver = require('semver');
+        const normalized = String(range).replace(/\s*,\s*/g, ' ').trim();
+        if (semver.validRange(normalized) === null) {
+            throw new Error(`Unsupported version range: ${range}`);
+        }
+        return normalized;
+    }
+
+    // Prereleases count, so 2.0.0-beta.1 matches "<2.0.0" like the release it precedes
+    satisfiesVersionRange(version, range) {
+        const semver = require('semver');
+        return semver.valid(version) !== null && semver.satisfies(version, this.toSemverRange(range), { includePrerelease: true });
+    }
+
+    // Collects the dependency tree and runs the license report; returns null when the build must stop
+    async prepareSBOM(pluginPath, manifest) {
+        let packageJson = {};
+        try {
+            packageJson = JSON.parse(await fs.readFile(path.join(pluginPath, 'package.json'), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error(`Invalid package.json: ${error.message}`);
+                return null;
+            }
+        }
+
+        const manifestLicense = typeof manifest.license === 'string' ? manifest.license : null;
+        const packageLicense = this.getPackageLicense(packageJson);
+        const plugin = {
+            id: this.getPluginId(manifest, path.basename(path.resolve(pluginPath))),
+            name: manifest.name || path.basename(path.resolve(pluginPath)),
+            version: manifest.version,
+            author: manifest.author,
+            description: manifest.description,
+            license: manifestLicense || packageLicense,
+            manifestLicense,
+            packageLicense
+        };
+
+        const tree = await this.collectDependencyTree(pluginPath, packageJson);
+        tree.missing.forEach(dependency => log.warning(`Not installed and not in the lockfile, left out of the SBOM: ${dependency}`));
+
+        const config = await this.loadPluginConfig(pluginPath);
+        const report = this.createLicenseReport(plugin, tree.packages, config);
+        this.printLicenseReport(report);
+
+        if (report.disallowed > 0) {
+            log.error(`${report.disallowed} license(s) are not in allowedLicenses (${PLUGIN_CONFIG_FILE}). Fix them before building.`);
+            return null;
+        }
+
+        return { plugin, tree };
+    }
+
+    getPackageLicense(manifest) {
+        if (typeof manifest.license === 'string') {
+            return manifest.license;
+        }
+        if (manifest.license && typeof manifest.license.type === 'string') {
+            return manifest.license.type;
+        }
+        // Deprecated "licenses": [{ "type": "MIT" }, ...] means any of them
+        if (Array.isArray(manifest.licenses) && manifest.licenses.length > 0) {
+            const types = manifest.licenses.map(license => (typeof license === 'string' ? license : license.type)).filter(Boolean);
+            return types.length > 1 ? `(${types.join(' OR ')})` : types[0] || null;
+        }
+        return null;
+    }
+
+    /**
+     * Resolves the production dependency tree from package.json the way Node would,
+     * using node_modules when installed and the lockfile otherwise.
+     */
+    async collectDependencyTree(pluginPath, packageJson) {
+        const lockfile = await this.loadLockfile(pluginPath);
+        const locked = new Map((lockfile ? lockfile.packages : []).map(pkg => [pkg.location, pkg]));
+        const available = new Map(locked);
+
+        for (const pkg of await this.collectInstalledPackages(pluginPath)) {
+            const lockEntry = locked.get(pkg.location);
+            const integrity = lockEntry && lockEntry.version === pkg.version ? lockEntry.integrity : undefined;
+            available.set(pkg.location, { ...pkg, integrity });
+        }
+
+        const packages = new Map();
+        const edges = new Map();
+        const missing = [];
+
+        const visit = (fromLocation, dependencies, optional) => {
+            const targets = [];
+
+            for (const name of dependencies) {
+                const location = this.resolvePackageLocation(available, fromLocation, name);
+                if (!location) {
+                    if (!optional.includes(name)) {
+                        missing.push(`${name} (required by ${fromLocation ? available.get(fromLocation).name : 'the plugin'})`);
+                    }
+                    continue;
+                }
+
+                targets.push(location);
+                if (!packages.has(location)) {
+                    const pkg = available.get(location);
+                    packages.set(location, pkg);
+                    visit(location, pkg.dependencies, pkg.optionalDependencies);
+                }
+            }
+
+            edges.set(fromLocation, targets);
+        };
+
+        visit('', Object.keys({ ...packageJson.dependencies, ...packageJson.optionalDependencies }), Object.keys(packageJson.optionalDependencies || {}));
+
+        return { packages: [...packages.values()], edges, missing, lockfile: lockfile ? lockfile.file : null };
+    }
+
+    // Node's lookup: the requiring package's own node_modules first, then each parent's
+    resolvePackageLocation(available, fromLocation, name) {
+        let base = fromLocation;
+
+        while (true) {
+            const candidate = `${base ? `${base}/` : ''}node_modules/${name}`;
+            if (available.has(candidate)) {
+                return candidate;
+            }
+            if (!base) {
+                return null;
+            }
+            const parent = base.lastIndexOf('/node_modules/');
+            base = parent === -1 ? '' : base.slice(0, parent);
+        }
+    }
+
+    /**
+     * Checks the plugin's own license and every production dependency against
+     * allowedLicenses from .wintoolpluginrc.
+     */
+    createLicenseReport(plugin, packages, config) {
+        const report = { entries: [], warnings: [], disallowed: 0 };
+        const addEntry = (name, version, license, role) => {
+            const allowed = license ? this.isLicenseAllowed(license, config.allowedLicenses) : null;
+            if (allowed === false) {
+                report.disallowed++;
+            }
+            report.entries.push({ name, version, license, role, allowed });
+        };
+
+        addEntry(plugin.name, plugin.version, plugin.license, 'plugin');
+        packages.forEach(pkg => addEntry(pkg.name, pkg.version, pkg.license, 'dependency'));
+
+        if (plugin.manifestLicense && plugin.packageLicense && plugin.manifestLicense !== plugin.packageLicense) {
+            report.warnings.push(`plugin.json declares ${plugin.manifestLicense} but package.json declares ${plugin.packageLicense}`);
+        }
+
+        // Code scaffolded by `create` comes from this CLI's templates, which carry the CLI's license
+        if (plugin.license && CLI_LICENSE && plugin.license !== CLI_LICENSE) {
+            report.warnings.push(`Plugin is licensed ${plugin.license}, but code generated by \`create\` comes from wintool-plugin-cli templates licensed ${CLI_LICENSE}`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Evaluates an SPDX expression against the allowed ids: AND binds tighter than OR,
+     * parentheses group and "WITH <exception>" is ignored. Malformed expressions are not allowed.
+     */
+    isLicenseAllowed(expression, allowedLicenses) {
+        const allowed = allowedLicenses.map(license => license.toLowerCase());
+        const tokens = expression.match(/[()]|[^\s()]+/g) || [];
+        let position = 0;
+        const peek = () => (tokens[position] || '').toUpperCase();
+
+        const parseTerm = () => {
+            const token = tokens[position++];
+            if (token === '(') {
+                const result = parseOr();
+                if (tokens[position++] !== ')') {
+                    throw new Error('Missing )');
+                }
+                return result;
+            }
+            if (!token || token === ')' || ['AND', 'OR', 'WITH'].includes(token.toUpperCase())) {
+                throw new Error(`Unexpected ${token || 'end of expression'}`);
+            }
+            if (peek() === 'WITH') {
+                position += 2;
+            }
+            return allowed.includes(token.toLowerCase());
+        };
+        const parseAnd = () => {
+            let result = parseTerm();
+            while (peek() === 'AND') {
+                position++;
+                const right = parseTerm();
+                result = result && right;
+            }
+            return result;
+        };
+        const parseOr = () => {
+            let result = parseAnd();
+            while (peek() === 'OR') {
+                position++;
+                const right = parseAnd();
+                result = result || right;
+            }
+            return result;
+        };
+
+        try {
+            const result = parseOr();
+            return position === tokens.length && result;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    printLicenseReport(report) {
+        log.subtitle('License report:');
+
+        for (const entry of report.entries) {
+            const label = `${entry.name}@${entry.version || '?'}${entry.role === 'plugin' ? ' (plugin)' : ''}`;
+            if (!entry.license) {
+                log.warning(`  ${label}: no license declared`);
+            } else if (entry.allowed) {
+                log.success(`  ${label}: ${entry.license}`);
+            } else {
+                log.error(`  ${label}: ${entry.license} is not in allowedLicenses`);
+            }
+        }
+
+        report.warnings.forEach(warning => log.warning(`  ${warning}`));
+        console.log('');
+    }
+
+    /**
+     * CycloneDX 1.5 JSON for the plugin and its production dependencies. The serial
+     * number is derived from the package hash so rebuilding the same source yields the same SBOM.
+     */
+    async createSBOM(plugin, packageHash, tree) {
+        const pluginRef = `${plugin.id}@${plugin.version}`;
+        const refs = new Map();
+        const components = new Map();
+
+        for (const pkg of tree.packages) {
+            const purl = `pkg:npm/${pkg.name.replace(/^@/, '%40')}@${pkg.version}`;
+            refs.set(pkg.location, purl);
+            if (components.has(purl)) {
+                continue;
+            }
+
+            const scope = pkg.name.startsWith('@') ? pkg.name.split('/')[0] : null;
+            const component = {
+                type: 'library',
+                'bom-ref': purl,
+                ...(scope ? { group: scope } : {}),
+                name: scope ? pkg.name.slice(scope.length + 1) : pkg.name,
+                version: pkg.version,
+                purl,
+                hashes: await this.getPackageHashes(pkg)
+            };
+            if (pkg.license) {
+                component.licenses = this.toCycloneDXLicenses(pkg.license);
+            }
+            components.set(purl, component);
+        }
+
+        const dependsOn = new Map();
+        for (const [from, targets] of tree.edges) {
+            const ref = from ? refs.get(from) : pluginRef;
+            const set = dependsOn.get(ref) || new Set();
+            targets.forEach(target => set.add(refs.get(target)));
+            dependsOn.set(ref, set);
+        }
+
+        const serial = crypto.createHash('sha256').update(`${pluginRef}:${packageHash}`).digest('hex');
+        const byRef = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+        return {
+            bomFormat: 'CycloneDX',
+            specVersion: CYCLONEDX_SPEC_VERSION,
+            serialNumber: `urn:uuid:${serial.slice(0, 8)}-${serial.slice(8, 12)}-5${serial.slice(13, 16)}-${(8 + (parseInt(serial[16], 16) % 4)).toString(16)}${serial.slice(17, 20)}-${serial.slice(20, 32)}`,
+            version: 1,
+            metadata: {
+                tools: {
+                    components: [{ type: 'application', name: 'wintool-plugin-cli', version: CLI_VERSION }]
+                },
+                component: {
+                    type: 'application',
+                    'bom-ref': pluginRef,
+                    name: plugin.name,
+                    version: plugin.version,
+                    ...(plugin.author ? { author: plugin.author } : {}),
+                    ...(plugin.description ? { description: plugin.description } : {}),
+                    hashes: [{ alg: 'SHA-256', content: packageHash }],
+                    ...(plugin.license ? { licenses: this.toCycloneDXLicenses(plugin.license) } : {})
+                }
+            },
+            components: [...components.values()].sort((a, b) => byRef(a['bom-ref'], b['bom-ref'])),
+            dependencies: [...dependsOn].sort(([a], [b]) => byRef(a, b))
+                .map(([ref, targets]) => ({ ref, dependsOn: [...targets].sort(byRef) }))
+        };
+    }
+
+    // The lockfile's registry integrity when known, otherwise a hash of the installed files
+    async getPackageHashes(pkg) {
+        const match = /^(sha512|sha384|sha256|sha1)-(.+)$/.exec(String(pkg.integrity || '').split(/\s+/)[0]);
+        if (match) {
+            const algorithm = { sha512: 'SHA-512', sha384: 'SHA-384', sha256: 'SHA-256', sha1: 'SHA-1' }[match[1]];
+            return [{ alg: algorithm, content: Buffer.from(match[2], 'base64').toString('hex') }];
+        }
+
+        if (!pkg.path) {
+            return [];
+        }
+
+        const files = new Map();
+        for (const file of pkg.files) {
+            files.set(file, await fs.readFile(path.join(pkg.path, file)));
+        }
+        return [{ alg: 'SHA-256', content: this.calculateContentsHash(this.hashPackageFiles(files)) }];
+    }
+
+    toCycloneDXLicenses(license) {
+        return /^[A-Za-z0-9.+\-() ]+$/.test(license) && !/^UNLICENSED$/i.test(license)
+            ? [{ expression: license }]
+            : [{ license: { name: license } }];
+    }
+
+    async listPlugins(args) {
+        log.title('📦 Installed Plugins');
+
+        const directories = [PLUGIN_DIR, DEV_PLUGIN_DIR];
+
+        for (const dir of directories) {
+            const isDevDir = dir === DEV_PLUGIN_DIR;
+            log.subtitle(isDevDir ? 'Development Plugins:' : 'User Plugins:');
+
+            try {
+                await fs.access(dir);
+            } catch (e) {
+                log.info(`  Directory not found: ${dir}`);
+                continue;
+            }
+
+            const plugins = await this.getInstalledPlugins(dir);
+            if (plugins.length === 0) {
+                log.info('  No plugins found');
+                continue;
+            }
+
+            for (const plugin of plugins) {
+                if (plugin.manifest) {
+                    const { manifest } = plugin;
+                    console.log(`  ${colors.green}✓${colors.reset} ${manifest.name || plugin.folderName} (v${manifest.version || 'N/A'})`);
+                    console.log(`    ${colors.cyan}Author:${colors.reset} ${manifest.author || 'Unknown'}`);
+                    console.log(`    ${colors.cyan}Description:${colors.reset} ${manifest.description || 'No description'}`);
+                    console.log(`    ${colors.cyan}Path:${colors.reset} ${plugin.path}`);
+                    console.log('');
+                } else {
+                    console.log(`  ${colors.yellow}⚠${colors.reset} ${plugin.folderName} (invalid manifest)`);
+                    console.log(`    ${colors.cyan}Path:${colors.reset} ${plugin.path}`);
+                    console.log('');
+                }
+            }
+        }
+    }
+
+    // Every plugin folder in dir; manifest is null when plugin.json is missing or invalid
+    async getInstalledPlugins(dir) {
+        const plugins = [];
+        let entries = [];
+
+        try {
+            entries = await fs.readdir(dir);
+        } catch (e) {
+            return plugins;
+        }
+
+        for (const folderName of entries) {
+            const pluginPath = path.join(dir, folderName);
+            const stat = await fs.stat(pluginPath);
+
+            if (stat.isDirectory()) {
+                let manifest = null;
+                try {
+                    manifest = JSON.parse(await fs.readFile(path.join(pluginPath, 'plugin.json'), 'utf8'));
+                } catch (e) {
+                    // Reported as an invalid manifest
+                }
+                plugins.push({ folderName, path: pluginPath, manifest });
+            }
+        }
+
+        return plugins;
+    }
+
+    async buildPlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const pluginPath = positionals[0] || process.cwd();
+
+        log.title('🔨 Building Plugin');
+        log.info(`Building plugin at: ${pluginPath}`);
+
+        // First validate the plugin
+        const validation = await this.runValidation(pluginPath);
+        if (!validation.isValid) {
+            log.error('Plugin validation failed. Fix errors before building.');
+            return false;
+        }
+
+        // Run security scan
+        // Honours .wintoolpluginrc (failOn, rules, ignorePatterns) and the baseline
+        const securityScan = await this.runSecurityScan(pluginPath);
+        if (!securityScan.isSecure) {
+            log.error('Security scan failed. Fix security issues before building.');
+            securityScan.issues.forEach(issue => log.error(`  • ${this.formatSecurityIssue(issue)}`));
+            return false;
+        }
+
+        try {
+            const manifestPath = path.join(pluginPath, 'plugin.json');
+            const manifestContent = await fs.readFile(manifestPath, 'utf8');
+            const manifest = JSON.parse(manifestContent);
+
+            const outputPath = path.join(pluginPath, '..', `${this.getPluginId(manifest, path.basename(path.resolve(pluginPath)))}.zip`);
+
+            // Licenses are checked before packaging so a disallowed license stops the build
+            let sbomInput = null;
+            if (flags.sbom) {
+                sbomInput = await this.prepareSBOM(pluginPath, manifest);
+                if (!sbomInput) {
+                    return false;
+                }
+            }
+
+            // Create zip package
+            const details = { dropped: [], stripped: [], minified: [] };
+            const { integrity, files } = await this.createPluginPackage(pluginPath, outputPath, {
+                production: Boolean(flags.production),
+                minify: Boolean(flags.minify),
+                details
+            });
+
+            log.success(`Plugin built successfully: ${outputPath}`);
+
+            // Same value as contentsHash in the package's integrity.json
+            log.info(`Plugin hash: ${integrity.contentsHash}`);
+
+            let withinBudget = true;
+            if (flags.production) {
+                console.log('');
+                if (details.dropped.length > 0) {
+                    log.info(`Dropped ${details.dropped.length} development file(s): ${details.dropped.join(', ')}`);
+                }
+                const bundled = [...files.keys()].filter(file => file.startsWith('node_modules/')).length;
+                log.info(`Bundled ${bundled} dependency file(s); stripped ${details.stripped.length} README, changelog, test and development file(s)`);
+            }
+            details.minified.forEach(entry => log.info(`Minified ${entry.file}: ${this.formatFileSize(entry.before)} → ${this.formatFileSize(entry.after)}`));
+
+            if (flags.production) {
+                const config = await this.loadPluginConfig(pluginPath);
+                const zipSize = (await fs.stat(outputPath)).size;
+                console.log('');
+                withinBudget = this.reportPackageSize(files, zipSize, config.sizeBudget);
+            }
+
+            if (sbomInput) {
+                const packageHash = crypto.createHash('sha256').update(await fs.readFile(outputPath)).digest('hex');
+                const sbom = await this.createSBOM(sbomInput.plugin, packageHash, sbomInput.tree);
+                const sbomPath = outputPath.replace(/\.zip$/, '.cdx.json');
+                await fs.writeFile(sbomPath, JSON.stringify(sbom, null, 2) + '\n');
+                log.success(`SBOM written: ${sbomPath} (${sbom.components.length} component(s))`);
+            }
+
+            if (!withinBudget) {
+                log.error(`Package exceeds sizeBudget in ${PLUGIN_CONFIG_FILE}`);
+            }
+            return withinBudget;
+        } catch (error) {
+            log.error(`Build failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    async createPluginPackage(pluginPath, outputPath, options = {}) {
+        const files = await this.collectPackageFiles(pluginPath, options);
+        const integrity = this.createIntegrityManifest(files);
+
+        files.set(INTEGRITY_FILE, Buffer.from(JSON.stringify(integrity, null, 2) + '\n'));
+        await this.writeDeterministicZip(files, outputPath);
+
+        return { integrity, files };
+    }
+
+    /**
+     * Returns a Map of package path -> contents for everything that belongs in the zip.
+     * options.production and options.minify record what they changed in options.details;
+     * options.includeHidden adds dotfiles, which packages leave out.
+     */
+    async collectPackageFiles(pluginPath, options = {}) {
+        const files = new Map();
+
+        // getAllFiles already skips node_modules and, unless includeHidden is set, dotfiles (.git, .wintoolpluginrc, baselines)
+        for (const file of await this.getAllFiles(pluginPath, { includeHidden: options.includeHidden })) {
+            const relativePath = this.toRelativePath(pluginPath, file);
+            const name = path.basename(file);
+
+            if (PACKAGE_EXCLUDED_FILES.includes(name) ||
+                PACKAGE_EXCLUDED_EXTENSIONS.includes(path.extname(name).toLowerCase()) ||
+                [INTEGRITY_FILE, SIGNATURE_FILE].includes(relativePath)) {
+                continue;
+            }
+
+            files.set(relativePath, await fs.readFile(file));
+        }
+
+        const details = options.details || { dropped: [], stripped: [], minified: [] };
+        if (options.production) {
+            await this.addProductionFiles(pluginPath, files, details);
+        }
+        if (options.minify) {
+            this.minifyPackageFiles(files, details);
+        }
+
+        return files;
+    }
+
+    createIntegrityManifest(files) {
+        const entries = this.hashPackageFiles(files);
+
+        return {
+            version: 1,
+            algorithm: 'sha256',
+            contentsHash: this.calculateContentsHash(entries),
+            files: entries
+        };
+    }
+
+    // Production builds: drop development files and bundle the installed production dependencies
+    async addProductionFiles(pluginPath, files, details) {
+        for (const file of [...files.keys()]) {
+            if (PRODUCTION_EXCLUDED_FILES.some(pattern => pattern.test(path.posix.basename(file))) || this.isDomTestFile(file)) {
+                files.delete(file);
+                details.dropped.push(file);
+            }
+        }
+
+        let packageJson;
+        try {
+            packageJson = JSON.parse(await fs.readFile(path.join(pluginPath, 'package.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw new Error(`Invalid package.json: ${error.message}`);
+        }
+
+        const tree = await this.collectDependencyTree(pluginPath, packageJson);
+        const notInstalled = [
+            ...tree.missing,
+            ...tree.packages.filter(pkg => !pkg.path).map(pkg => `${pkg.name}@${pkg.version}`)
+        ];
+        if (notInstalled.length > 0) {
+            throw new Error(`Production dependencies are not installed (${notInstalled.join(', ')}); run npm install first`);
+        }
+
+        for (const pkg of tree.packages) {
+            for (const file of pkg.files) {
+                const relativePath = file.split(path.sep).join('/');
+                const segments = relativePath.split('/');
+                const name = segments[segments.length - 1];
+                const packageFile = `${pkg.location}/${relativePath}`;
+
+                if (segments.some(segment => segment.startsWith('.')) ||
+                    segments.slice(0, -1).some(segment => PRODUCTION_DEPENDENCY_EXCLUDED_DIRECTORIES.includes(segment.toLowerCase())) ||
+                    PRODUCTION_DEPENDENCY_EXCLUDED_FILES.some(pattern => pattern.test(name)) ||
+                    PRODUCTION_EXCLUDED_FILES.some(pattern => pattern.test(name))) {
+                    details.stripped.push(packageFile);
+                    continue;
+                }
+
+                files.set(packageFile, await fs.readFile(path.join(pkg.path, file)));
+            }
+        }
+    }
+
+    minifyPackageFiles(files, details) {
+        const minifiers = {
+            '.js': code => this.minifyJavaScript(code),
+            '.css': code => this.minifyCSS(code),
+            '.html': code => this.minifyHTML(code)
+        };
+
+        for (const file of MINIFY_FILES) {
+            if (!files.has(file)) {
+                continue;
+            }
+
+            const source = files.get(file).toString('utf8');
+            let minified;
+            try {
+                minified = minifiers[path.extname(file)](source);
+            } catch (error) {
+                log.warning(`Could not minify ${file}, packaging it unchanged: ${error.message}`);
+                continue;
+            }
+
+            if (minified.length < source.length) {
+                files.set(file, Buffer.from(minified, 'utf8'));
+                details.minified.push({ file, before: Buffer.byteLength(source), after: Buffer.byteLength(minified) });
+            }
+        }
+    }
+
+    /**
+     * Drops comments and indentation from JavaScript. Line breaks are kept so automatic
+     * semicolon insertion behaves exactly as in the source.
+     */
+    minifyJavaScript(code) {
+        const acorn = require('acorn');
+        const options = { ecmaVersion: 'latest', sourceType: 'script', allowHashBang: true, allowReturnOutsideFunction: true };
+
+        // Throws on syntax errors, so broken files are packaged unchanged
+        try {
+            acorn.parse(code, options);
+        } catch (error) {
+            options.sourceType = 'module';
+            acorn.parse(code, options);
+        }
+
+        const wordChar = /[\w$\\\u0080-\uffff]/;
+        let output = '';
+        let previousEnd = 0;
+        let previousType = null;
+
+        for (const token of acorn.tokenizer(code, options)) {
+            const text = code.slice(token.start, token.end);
+            const gap = code.slice(previousEnd, token.start);
+
+            if (output && gap) {
+                const last = output[output.length - 1];
+                const first = text[0];
+                if (/[\r\n\u2028\u2029]/.test(gap)) {
+                    output += '\n';
+                } else if ((wordChar.test(last) && wordChar.test(first)) ||
+                    ('+-'.includes(last) && last === first) ||
+                    (last === '/' && '/*'.includes(first)) ||
+                    (previousType === acorn.tokTypes.num && first === '.')) { // "1 .toString()"
+                    output += ' ';
+                }
+            }
+
+            output += text;
+            previousEnd = token.end;
+            previousType = token.type;
+        }
+
+        // A minifier bug must never ship a broken file: the caller packages the original instead
+        try {
+            acorn.parse(output, options);
+        } catch (error) {
+            throw new Error(`minified output does not parse (${error.message})`);
+        }
+
+        return output + '\n';
+    }
+
+    minifyCSS(code) {
+        const strings = [];
+        let output = '';
+        let index = 0;
+
+        while (index < code.length) {
+            const char = code[index];
+
+            if (char === '"' || char === '\'') {
+                // Strings are swapped for placeholders so the whitespace rules below cannot touch them
+                let end = index + 1;
+                while (end < code.length && code[end] !== char) {
+                    end += code[end] === '\\' ? 2 : 1;
+                }
+                output += `\u0000${strings.length}\u0000`;
+                strings.push(code.slice(index, end + 1));
+                index = end + 1;
+            } else if (char === '/' && code[index + 1] === '*') {
+                const end = code.indexOf('*/', index + 2);
+                index = end === -1 ? code.length : end + 2;
+                output += ' ';
+            } else {
+                output += char;
+                index++;
+            }
+        }
+
+        return output
+            .replace(/\s+/g, ' ')
+            .replace(/\s*([{};,])\s*/g, '$1')
+            .replace(/;}/g, '}')
+            .replace(/\u0000(\d+)\u0000/g, (match, number) => strings[Number(number)])
+            .trim() + '\n';
+    }
+
+    // Removes comments and collapses whitespace outside <pre>, <textarea>, <script> and <style>
+    minifyHTML(code) {
+        const preserved = /(<(pre|textarea|script|style)\b[^>]*>[\s\S]*?<\/\2\s*>)/gi;
+
+        return code.split(preserved).map((part, index) => {
+            // split() with two capture groups yields [text, block, tagName, text, ...]
+            if (index % 3 === 1) {
+                return part;
+            }
+            if (index % 3 === 2) {
+                return '';
+            }
+            return part
+                .replace(/<!--(?!\[if)[\s\S]*?-->/g, '')
+                .replace(/\s*\n\s*/g, '\n')
+                .replace(/[ \t]+/g, ' ');
+        }).join('').trim() + '\n';
+    }
+
+    parseSize(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(value));
+        if (!match) {
+            return null;
+        }
+        const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+        return Math.round(Number(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+    }
+
+    getSizeCategory(file) {
+        if (file.startsWith('node_modules/')) {
+            return 'dependencies';
+        }
+        return SIZE_CATEGORIES[path.extname(file).toLowerCase()] || 'other';
+    }
+
+    /**
+     * Prints the package size by category and checks it against sizeBudget from
+     * .wintoolpluginrc. Returns false when any budget is exceeded.
+     */
+    reportPackageSize(files, zipSize, budget) {
+        const sizes = { code: 0, styles: 0, markup: 0, dependencies: 0, other: 0 };
+        for (const [file, content] of files) {
+            sizes[this.getSizeCategory(file)] += content.length;
+        }
+        sizes.total = Object.values(sizes).reduce((sum, size) => sum + size, 0);
+        sizes.zip = zipSize;
+
+        log.subtitle('Size breakdown:');
+        let withinBudget = true;
+
+        for (const [category, size] of Object.entries(sizes)) {
+            const limit = budget[category] === undefined ? null : this.parseSize(budget[category]);
+            const label = category === 'zip' ? 'zip (compressed)' : category;
+            const line = `  ${label.padEnd(18)} ${this.formatFileSize(size).padStart(9)}${limit === null ? '' : ` / ${this.formatFileSize(limit)}`}`;
+
+            if (limit !== null && size > limit) {
+                withinBudget = false;
+                log.error(`${line.trimStart()} (over budget by ${this.formatFileSize(size - limit)})`);
+            } else {
+                console.log(line);
+            }
+        }
+        console.log('');
+
+        return withinBudget;
+    }
+
+    /**
+     * Writes files in byte order of their paths with a fixed timestamp and mode,
+     * so identical inputs always produce an identical zip.
+     */
+    async writeDeterministicZip(files, outputPath) {
+        const archiver = require('archiver');
+        const output = require('fs').createWriteStream(outputPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        return new Promise((resolve, reject) => {
+            output.on('close', () => {
+                log.info(`Package created: ${archive.pointer()} bytes`);
+                resolve();
+            });
+
+            archive.on('error', reject);
+            archive.pipe(output);
+
+            const names = [...files.keys()].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+            for (const name of names) {
+                archive.append(files.get(name), {
+                    name,
+                    date: PACKAGE_TIMESTAMP,
+                    mode: PACKAGE_FILE_MODE
+                });
+            }
+
+            archive.finalize();
+        });
+    }
+
+    /**
+     * Checks a zip's central directory without extracting anything. Returns every
+     * entry plus a list of problems ({ code, message, entry }) from ARCHIVE_ERRORS.
+     */
+    async inspectArchive(zipPath, limits = ARCHIVE_LIMITS) {
+        const AdmZip = require('adm-zip');
+        const result = { entries: [], problems: [] };
+        const addProblem = (code, entry, detail) => result.problems.push({
+            code,
+            entry,
+            message: `${ARCHIVE_ERRORS[code]}${entry ? `: ${entry}` : ''}${detail ? ` (${detail})` : ''}`
+        });
+
+        let zip;
+        try {
+            await fs.access(zipPath);
+        } catch (e) {
+            addProblem('ARCHIVE_NOT_FOUND', null, zipPath);
+            return result;
+        }
+
+        try {
+            zip = new AdmZip(zipPath);
+            result.entries = zip.getEntries().map(entry => ({
+                path: entry.entryName,
+                isDirectory: entry.isDirectory,
+                size: entry.header.size,
+                compressedSize: entry.header.compressedSize,
+                // Unix mode lives in the high 16 bits of the external attributes
+                mode: (entry.header.attr >>> 16) & 0o177777,
+                entry
+            }));
+        } catch (error) {
+            addProblem('ARCHIVE_INVALID', null, error.message);
+            return result;
+        }
+
+        if (result.entries.length > limits.maxEntries) {
+            addProblem('ARCHIVE_TOO_MANY_ENTRIES', null, `${result.entries.length} entries, limit ${limits.maxEntries}`);
+        }
+
+        const totalSize = result.entries.reduce((total, entry) => total + entry.size, 0);
+        if (totalSize > limits.maxTotalSize) {
+            addProblem('ARCHIVE_TOO_LARGE', null, `${totalSize} bytes uncompressed, limit ${limits.maxTotalSize}`);
+        }
+
+        const seen = new Map();
+        for (const entry of result.entries) {
+            const name = entry.path.replace(/\\/g, '/');
+            const segments = name.split('/');
+
+            if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+                addProblem('ARCHIVE_ABSOLUTE_PATH', entry.path);
+            } else if (segments.includes('..')) {
+                addProblem('ARCHIVE_PATH_TRAVERSAL', entry.path);
+            }
+
+            if ((entry.mode & 0o170000) === 0o120000) {
+                addProblem('ARCHIVE_SYMLINK', entry.path);
+            }
+
+            // Windows paths are case-insensitive, so these would overwrite each other
+            const key = name.replace(/\/+$/, '').toLowerCase();
+            if (seen.has(key)) {
+                addProblem('ARCHIVE_DUPLICATE_ENTRY', entry.path, `clashes with ${seen.get(key)}`);
+            } else {
+                seen.set(key, entry.path);
+            }
+
+            // npm writes .cmd shims into node_modules/.bin on Windows, so bundled dependencies carry them
+            if (!entry.isDirectory && EXECUTABLE_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase()) &&
+                !/(^|\/)node_modules\/\.bin\//.test(name)) {
+                addProblem('ARCHIVE_EXECUTABLE', entry.path);
+            }
+
+            // Small files compress well legitimately, so the ratio only counts for larger entries
+            const ratio = entry.compressedSize > 0 ? entry.size / entry.compressedSize : 0;
+            if (entry.size >= limits.ratioMinSize && (entry.compressedSize === 0 || ratio > limits.maxCompressionRatio)) {
+                addProblem('ARCHIVE_COMPRESSION_RATIO', entry.path, `${Math.round(ratio)}:1, limit ${limits.maxCompressionRatio}:1`);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Reads a zip into a Map of path -> contents after inspectArchive has passed.
+     * Throws an error with `code` and `problems` when the archive is unsafe.
+     */
+    async readArchive(zipPath, limits = ARCHIVE_LIMITS) {
+        const inspection = await this.inspectArchive(zipPath, limits);
+        if (inspection.problems.length > 0) {
+            throw this.createArchiveError(zipPath, inspection.problems);
+        }
+
+        const files = new Map();
+        let totalSize = 0;
+
+        for (const entry of inspection.entries) {
+            if (entry.isDirectory) {
+                continue;
+            }
+
+            const content = entry.entry.getData();
+
+            // Declared sizes can lie, so check what actually came out
+            totalSize += content.length;
+            if (content.length !== entry.size || totalSize > limits.maxTotalSize) {
+                throw this.createArchiveError(zipPath, [{
+                    code: 'ARCHIVE_TOO_LARGE',
+                    entry: entry.path,
+                    message: `${ARCHIVE_ERRORS.ARCHIVE_TOO_LARGE}: ${entry.path} (declared ${entry.size} bytes, got ${content.length})`
+                }]);
+            }
+
+            files.set(entry.path, content);
+        }
+
+        return files;
+    }
+
+    createArchiveError(zipPath, problems) {
+        const [first] = problems;
+        const error = new Error(problems.length === 1
+            ? `${first.code}: ${first.message}`
+            : `Unsafe archive ${zipPath}: ${problems.length} problems found`);
+        error.code = first.code;
+        error.problems = problems;
+        return error;
+    }
+
+    async inspectPackage(args) {
+        const { positionals } = this.parseCommandArgs(args);
+        const zipPath = positionals[0];
+
+        log.title('🔎 Inspect Plugin Package');
+
+        if (!zipPath) {
+            log.error('Usage: inspect <zip>');
+            return false;
+        }
+
+        log.info(`Inspecting package: ${zipPath}`);
+
+        // Everything is read in memory; nothing is extracted to disk
+        const inspection = await this.inspectArchive(zipPath);
+        if (inspection.problems.length > 0) {
+            log.error('Package failed the archive safety checks:');
+            inspection.problems.forEach(problem => log.error(`  • ${problem.code}: ${problem.message}`));
+            return false;
+        }
+
+        const plugin = await this.loadPluginSource(zipPath);
+        const manifest = this.parsePackageManifest(plugin.files);
+
+        log.subtitle('Manifest:');
+        if (manifest) {
+            console.log(`  ${colors.cyan}Name:${colors.reset} ${manifest.name || 'N/A'}`);
+            console.log(`  ${colors.cyan}Version:${colors.reset} ${manifest.version || 'N/A'}`);
+            console.log(`  ${colors.cyan}Author:${colors.reset} ${manifest.author || 'Unknown'}`);
+            console.log(`  ${colors.cyan}Description:${colors.reset} ${manifest.description || 'No description'}`);
+            console.log(`  ${colors.cyan}Manifest version:${colors.reset} ${manifest.manifestVersion || `${MANIFEST_VERSION} (assumed)`}`);
+            console.log(`  ${colors.cyan}Backend:${colors.reset} ${manifest.backend || 'none'}${manifest.backend && !plugin.files.has(manifest.backend) ? ` ${colors.red}(missing)${colors.reset}` : ''}`);
+            const permissions = Array.isArray(manifest.permissions) ? manifest.permissions : [];
+            console.log(`  ${colors.cyan}Permissions:${colors.reset} ${permissions.length > 0 ? permissions.join(', ') : 'none declared'}`);
+        } else {
+            log.warning('  No valid plugin.json found');
+        }
+        console.log('');
+
+        log.subtitle(`Files (${plugin.files.size}, unpacked into "${plugin.folderName}"):`);
+        this.printFileTree(plugin.files);
+        const totalSize = [...plugin.files.values()].reduce((total, content) => total + content.length, 0);
+        console.log(`  ${colors.cyan}Total:${colors.reset} ${this.formatFileSize(totalSize)}\n`);
+
+        log.subtitle('Integrity:');
+        const contentFiles = new Map([...plugin.files].filter(([file]) => ![INTEGRITY_FILE, SIGNATURE_FILE].includes(file)));
+        const contentsHash = this.calculateContentsHash(this.hashPackageFiles(contentFiles));
+        console.log(`  ${colors.cyan}Contents hash:${colors.reset} ${contentsHash}`);
+
+        if (plugin.files.has(INTEGRITY_FILE)) {
+            let integrity = {};
+            try {
+                integrity = JSON.parse(plugin.files.get(INTEGRITY_FILE).toString('utf8'));
+            } catch (e) {
+                // Reported as a mismatch below
+            }
+            if (integrity.contentsHash === contentsHash) {
+                log.success(`  ${INTEGRITY_FILE} matches the package contents`);
+            } else {
+                log.error(`  ${INTEGRITY_FILE} does not match the package contents`);
+            }
+        } else {
+            log.info(`  No ${INTEGRITY_FILE} (package was not built with this CLI)`);
+        }
+
+        if (plugin.files.has(SIGNATURE_FILE)) {
+            try {
+                const signature = JSON.parse(plugin.files.get(SIGNATURE_FILE).toString('utf8'));
+                log.info(`  Signed by key ${signature.keyFingerprint} (run verify to check it)`);
+            } catch (e) {
+                log.warning(`  ${SIGNATURE_FILE} is not valid JSON`);
+            }
+        } else {
+            log.info('  Not signed');
+        }
+
+        return true;
+    }
+
+    printFileTree(files) {
+        const printed = new Set();
+        const paths = [...files.keys()].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+        for (const file of paths) {
+            const segments = file.split('/');
+
+            // Print each parent folder once, the first time a file inside it appears
+            for (let depth = 0; depth < segments.length - 1; depth++) {
+                const folder = segments.slice(0, depth + 1).join('/');
+                if (!printed.has(folder)) {
+                    printed.add(folder);
+                    console.log(`  ${'  '.repeat(depth)}📁 ${segments[depth]}/`);
+                }
+            }
+
+            const depth = segments.length - 1;
+            console.log(`  ${'  '.repeat(depth)}📄 ${segments[depth]} ${colors.cyan}(${this.formatFileSize(files.get(file).length)})${colors.reset}`);
+        }
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    async diffPlugins(args) {
+        const { positionals } = this.parseCommandArgs(args);
+        const [oldSource, newSource] = positionals;
+
+        log.title('🔀 Plugin Diff');
+
+        if (!oldSource || !newSource) {
+            log.error('Usage: diff <old> <new> (each a plugin directory or .zip)');
+            return false;
+        }
+
+        log.info(`Comparing ${oldSource} → ${newSource}`);
+
+        const before = await this.withPluginDirectory(oldSource, pluginDir => this.collectPluginSnapshot(pluginDir));
+        const after = await this.withPluginDirectory(newSource, pluginDir => this.collectPluginSnapshot(pluginDir));
+        const diff = this.comparePluginSnapshots(before, after);
+
+        log.subtitle('Files:');
+        if (diff.files.added.length + diff.files.removed.length + diff.files.modified.length === 0) {
+            log.info('  No file changes');
+        }
+        diff.files.added.forEach(file => console.log(`  ${colors.green}+ ${file.path}${colors.reset} (${this.formatFileSize(file.size)})`));
+        diff.files.removed.forEach(file => console.log(`  ${colors.red}- ${file.path}${colors.reset}`));
+        diff.files.modified.forEach(file => {
+            const delta = file.size - file.oldSize;
+            console.log(`  ${colors.yellow}~ ${file.path}${colors.reset} (${delta >= 0 ? '+' : '-'}${this.formatFileSize(Math.abs(delta))})`);
+        });
+        console.log('');
+
+        log.subtitle('Manifest:');
+        if (diff.manifest.length === 0) {
+            log.info('  No manifest changes');
+        }
+        diff.manifest.forEach(change => console.log(`  ${colors.cyan}${change.field}:${colors.reset} ${this.formatManifestValue(change.from)} → ${this.formatManifestValue(change.to)}`));
+        console.log('');
+
+        // The risk-relevant changes reviewers should look at first
+        log.subtitle('Risk changes:');
+        diff.permissions.declared.forEach(permission => log.warning(`  New declared permission: ${permission} (${PLUGIN_PERMISSIONS[permission] || 'unknown permission'})`));
+        diff.permissions.used.forEach(permission => log.warning(`  Code now uses: ${permission}`));
+        diff.domains.forEach(domain => log.warning(`  New network domain: ${domain}`));
+        diff.dependencies.added.forEach(dependency => log.warning(`  New dependency: ${dependency.name}@${dependency.to}`));
+        diff.dependencies.changed.forEach(dependency => log.info(`  Dependency changed: ${dependency.name} ${dependency.from} → ${dependency.to}`));
+        diff.dependencies.removed.forEach(dependency => log.info(`  Dependency removed: ${dependency.name}`));
+        diff.hiddenFiles.forEach(file => log.warning(`  New hidden file: ${file}`));
+        diff.findings.forEach(issue => {
+            const report = issue.severity === 'high' ? log.error : log.warning;
+            report(`  New finding: ${this.formatSecurityIssue(issue)}`);
+        });
+
+        const riskCount = diff.permissions.declared.length + diff.permissions.used.length + diff.domains.length +
+            diff.dependencies.added.length + diff.hiddenFiles.length + diff.findings.length;
+        if (riskCount === 0) {
+            log.success('  No new permissions, domains, dependencies, hidden files or security findings');
+        }
+
+        return true;
+    }
+
+    async collectPluginSnapshot(pluginPath) {
+        let manifest = {};
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(pluginPath, 'plugin.json'), 'utf8'));
+        } catch (e) {
+            // A missing or broken manifest shows up as manifest changes
+        }
+
+        let packageJson = {};
+        try {
+            packageJson = JSON.parse(await fs.readFile(path.join(pluginPath, 'package.json'), 'utf8'));
+        } catch (e) {
+            // package.json is optional
+        }
+
+        // Dotfiles are compared too, so a hidden script or an added .wintoolpluginrc is visible
+        const files = await this.collectPackageFiles(pluginPath, { includeHidden: true });
+
+        return {
+            manifest,
+            files: new Map(this.hashPackageFiles(files).map(file => [file.path, file])),
+            declaredPermissions: Array.isArray(manifest.permissions) ? manifest.permissions : [],
+            usedPermissions: [...(await this.inferPermissions(pluginPath, manifest)).keys()],
+            domains: this.collectNetworkDomains(files),
+            dependencies: { ...packageJson.optionalDependencies, ...packageJson.dependencies },
+            // Both sides are scanned with the default settings, so neither can suppress its own findings
+            issues: (await this.runSecurityScan(pluginPath, { trusted: false })).issues
+        };
+    }
+
+    comparePluginSnapshots(before, after) {
+        const diff = {
+            files: { added: [], removed: [], modified: [] },
+            manifest: [],
+            permissions: {
+                declared: after.declaredPermissions.filter(permission => !before.declaredPermissions.includes(permission)),
+                used: after.usedPermissions.filter(permission => !before.usedPermissions.includes(permission))
+            },
+            domains: [...after.domains].filter(domain => !before.domains.has(domain)).sort(),
+            dependencies: { added: [], removed: [], changed: [] },
+            hiddenFiles: [],
+            findings: []
+        };
+
+        for (const [file, entry] of after.files) {
+            const previous = before.files.get(file);
+            if (!previous) {
+                diff.files.added.push(entry);
+                if (file.split('/').some(segment => segment.startsWith('.'))) {
+                    diff.hiddenFiles.push(file);
+                }
+            } else if (previous.sha256 !== entry.sha256) {
+                diff.files.modified.push({ ...entry, oldSize: previous.size });
+            }
+        }
+        for (const [file, entry] of before.files) {
+            if (!after.files.has(file)) {
+                diff.files.removed.push(entry);
+            }
+        }
+
+        const fields = [...new Set([...Object.keys(before.manifest), ...Object.keys(after.manifest)])];
+        for (const field of fields) {
+            if (JSON.stringify(before.manifest[field]) !== JSON.stringify(after.manifest[field])) {
+                diff.manifest.push({ field, from: before.manifest[field], to: after.manifest[field] });
+            }
+        }
+
+        for (const [name, range] of Object.entries(after.dependencies)) {
+            if (!(name in before.dependencies)) {
+                diff.dependencies.added.push({ name, to: range });
+            } else if (before.dependencies[name] !== range) {
+                diff.dependencies.changed.push({ name, from: before.dependencies[name], to: range });
+            }
+        }
+        for (const name of Object.keys(before.dependencies)) {
+            if (!(name in after.dependencies)) {
+                diff.dependencies.removed.push({ name, from: before.dependencies[name] });
+            }
+        }
+
+        // Findings are matched the same way as the baseline, so moved code is not reported as new
+        const previousFindings = new Map();
+        for (const issue of before.issues) {
+            const fingerprint = this.getFindingFingerprint(issue);
+            previousFindings.set(fingerprint, (previousFindings.get(fingerprint) || 0) + 1);
+        }
+        for (const issue of after.issues) {
+            const fingerprint = this.getFindingFingerprint(issue);
+            if (previousFindings.get(fingerprint) > 0) {
+                previousFindings.set(fingerprint, previousFindings.get(fingerprint) - 1);
+            } else {
+                diff.findings.push(issue);
+            }
+        }
+
+        return diff;
+    }
+
+    // Hosts of absolute URLs (http, https, ws, wss) in the plugin's code and markup
+    collectNetworkDomains(files) {
+        const domains = new Set();
+        const urlPattern = /\b(?:https?|wss?):\/\/([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi;
+
+        for (const [file, content] of files) {
+            const fileType = SCAN_FILE_TYPES[path.extname(file).toLowerCase()];
+            if (!['javascript', 'html', 'css'].includes(fileType)) {
+                continue;
+            }
+
+            for (const match of content.toString('utf8').matchAll(urlPattern)) {
+                domains.add(match[1].toLowerCase());
+            }
+        }
+
+        return domains;
+    }
+
+    formatManifestValue(value) {
+        return value === undefined ? `${colors.red}(none)${colors.reset}` : JSON.stringify(value);
+    }
+
+    async publishPlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const source = positionals[0] || process.cwd();
+        const registry = this.getRegistryLocation(flags);
+
+        log.title('📤 Publish Plugin');
+
+        if (!registry) {
+            log.error('No registry configured. Use --registry=<dir> or set WINTOOL_REGISTRY');
+            return false;
+        }
+        if (this.isRemoteRegistry(registry)) {
+            log.error('HTTP registries are read-only; publish to the registry directory and upload it');
+            return false;
+        }
+
+        log.info(`Publishing ${source} to ${registry}`);
+
+        // Directories are built first so the registry only ever holds reproducible packages
+        const plugin = await this.loadPluginSource(source);
+        const manifest = this.parsePackageManifest(plugin.files);
+        if (!manifest || !manifest.name) {
+            log.error('Package does not contain a valid plugin.json');
+            return false;
+        }
+        if (!this.parseVersion(manifest.version)) {
+            log.error(`Cannot publish without a semantic version in plugin.json (got ${JSON.stringify(manifest.version)})`);
+            return false;
+        }
+
+        const checksPassed = await this.withPluginDirectory(source, async (pluginDir, trusted) => {
+            const validation = await this.runValidation(pluginDir);
+            validation.errors.forEach(error => log.error(`  • ${error}`));
+            const scanResult = await this.runSecurityScan(pluginDir, { trusted });
+            if (!scanResult.isSecure) {
+                scanResult.issues.forEach(issue => log.error(`  • ${this.formatSecurityIssue(issue)}`));
+            }
+            return validation.isValid && scanResult.isSecure;
+        });
+        if (!checksPassed) {
+            log.error('Plugin failed validation or the security scan. Nothing was published.');
+            return false;
+        }
+
+        const index = await this.loadRegistryIndex(registry, { allowMissing: true });
+        const id = this.getPluginId(manifest);
+        const entry = index.plugins[id] || { name: manifest.name, versions: {} };
+
+        if (entry.versions[manifest.version] && !flags.force) {
+            log.error(`${manifest.name} v${manifest.version} is already published (use --force to replace it)`);
+            return false;
+        }
+
+        const file = `plugins/${id}/${id}-${manifest.version}.zip`;
+        const zipPath = path.join(registry, ...file.split('/'));
+        await fs.mkdir(path.dirname(zipPath), { recursive: true });
+
+        if (this.isArchivePath(source)) {
+            await fs.copyFile(source, zipPath);
+        } else {
+            await this.createPluginPackage(source, zipPath);
+        }
+
+        const content = await fs.readFile(zipPath);
+        entry.versions[manifest.version] = {
+            file,
+            size: content.length,
+            sha256: crypto.createHash('sha256').update(content).digest('hex'),
+            permissions: Array.isArray(manifest.permissions) ? manifest.permissions : [],
+            publishedAt: new Date().toISOString()
+        };
+
+        // Listing fields follow the newest version
+        const latest = Object.keys(entry.versions).sort((a, b) => this.compareVersions(a, b)).pop();
+        entry.latest = latest;
+        if (latest === manifest.version) {
+            Object.assign(entry, {
+                name: manifest.name,
+                description: manifest.description || '',
+                author: manifest.author || '',
+                icon: manifest.icon
+            });
+        }
+
+        index.plugins[id] = entry;
+        await this.writeRegistryIndex(registry, index);
+
+        log.success(`Published ${manifest.name} v${manifest.version} as ${file}`);
+        if (latest !== manifest.version) {
+            log.info(`v${latest} remains the latest version`);
+        }
+
+        return true;
+    }
+
+    async searchRegistry(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const term = positionals.join(' ').toLowerCase();
+        const registry = this.getRegistryLocation(flags);
+
+        log.title('🔍 Search Plugins');
+
+        if (!registry) {
+            log.error('No registry configured. Use --registry=<dir|url> or set WINTOOL_REGISTRY');
+            return false;
+        }
+
+        const index = await this.loadRegistryIndex(registry);
+        const matches = Object.entries(index.plugins)
+            .filter(([id, entry]) => [id, entry.name, entry.description, entry.author]
+                .some(value => typeof value === 'string' && value.toLowerCase().includes(term)))
+            .sort(([a], [b]) => a.localeCompare(b));
+
+        if (matches.length === 0) {
+            log.info(term ? `No plugins match "${term}"` : 'The registry is empty');
+            return true;
+        }
+
+        for (const [id, entry] of matches) {
+            console.log(`  ${colors.green}•${colors.reset} ${entry.name} (v${entry.latest}) ${colors.cyan}[${id}]${colors.reset}`);
+            console.log(`    ${colors.cyan}Author:${colors.reset} ${entry.author || 'Unknown'}`);
+            console.log(`    ${colors.cyan}Description:${colors.reset} ${entry.description || 'No description'}`);
+            console.log(`    ${colors.cyan}Versions:${colors.reset} ${Object.keys(entry.versions).sort((a, b) => this.compareVersions(b, a)).join(', ')}`);
+            console.log('');
+        }
+
+        log.info(`${matches.length} plugin(s) found`);
+        return true;
+    }
+
+    async checkOutdated(args) {
+        const { flags } = this.parseCommandArgs(args);
+        const registry = this.getRegistryLocation(flags);
+        const directories = this.getPluginDirectories(flags);
+
+        log.title('📋 Outdated Plugins');
+
+        if (!registry) {
+            log.error('No registry configured. Use --registry=<dir|url> or set WINTOOL_REGISTRY');
+            return false;
+        }
+
+        const index = await this.loadRegistryIndex(registry);
+        const installed = (await this.getInstalledPlugins(directories.plugins)).filter(plugin => plugin.manifest);
+        let outdated = 0;
+
+        for (const plugin of installed) {
+            const { manifest } = plugin;
+            const entry = index.plugins[this.getPluginId(manifest, plugin.folderName)] ||
+                index.plugins[this.toPluginSlug(plugin.folderName)];
+
+            if (!entry) {
+                continue;
+            }
+
+            if (this.compareVersions(manifest.version || '0.0.0', entry.latest) < 0) {
+                outdated++;
+                console.log(`  ${colors.yellow}⚠${colors.reset} ${manifest.name}: ${manifest.version || 'N/A'} → ${entry.latest} (${this.describeVersionChange(manifest.version, entry.latest)})`);
+            } else {
+                console.log(`  ${colors.green}✓${colors.reset} ${manifest.name}: ${manifest.version} is up to date`);
+            }
+        }
+
+        if (outdated === 0) {
+            log.success('All registry plugins are up to date');
+        } else {
+            log.info(`${outdated} plugin(s) can be updated with: wintool-plugin-cli upgrade <name> <zip>`);
+        }
+
+        return true;
+    }
+
+    getRegistryLocation(flags = {}) {
+        const registry = typeof flags.registry === 'string' ? flags.registry : process.env.WINTOOL_REGISTRY;
+        if (!registry) {
+            return null;
+        }
+        return this.isRemoteRegistry(registry) ? registry.replace(/\/+$/, '') : path.resolve(registry);
+    }
+
+    isRemoteRegistry(registry) {
+        return /^https?:\/\//i.test(registry);
+    }
+
+    async loadRegistryIndex(registry, options = {}) {
+        let content;
+
+        try {
+            content = this.isRemoteRegistry(registry)
+                ? await this.fetchText(`${registry}/${REGISTRY_INDEX_FILE}`)
+                : await fs.readFile(path.join(registry, REGISTRY_INDEX_FILE), 'utf8');
+        } catch (error) {
+            if (options.allowMissing && error.code === 'ENOENT') {
+                return { version: REGISTRY_VERSION, plugins: {} };
+            }
+            throw new Error(`Could not read registry index from ${registry}: ${error.message}`);
+        }
+
+        const index = JSON.parse(content);
+        if (index.version !== REGISTRY_VERSION || typeof index.plugins !== 'object') {
+            throw new Error(`Unsupported registry index format in ${registry}`);
+        }
+
+        return index;
+    }
+
+    async writeRegistryIndex(registry, index) {
+        const indexPath = path.join(registry, REGISTRY_INDEX_FILE);
+        const sorted = {
+            version: REGISTRY_VERSION,
+            plugins: Object.fromEntries(Object.keys(index.plugins).sort().map(id => [id, index.plugins[id]]))
+        };
+
+        // Write then rename so readers never see a half-written index
+        await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(sorted, null, 2) + '\n');
+        await fs.rename(`${indexPath}.tmp`, indexPath);
+    }
+
+    fetchText(url) {
+        const client = url.startsWith('https:') ? require('https') : require('http');
+
+        return new Promise((resolve, reject) => {
+            const request = client.get(url, (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject(new Error(`HTTP ${response.statusCode} for ${url}`));
+                    return;
+                }
+
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { body += chunk; });
+                response.on('end', () => resolve(body));
+            });
+
+            request.setTimeout(REGISTRY_TIMEOUT, () => request.destroy(new Error(`Timed out fetching ${url}`)));
+            request.on('error', reject);
+        });
+    }
+
+    // The manifest id, or for plugins created before ids existed, a slug of the name
+    getPluginId(manifest, fallbackName) {
+        return manifest.id || this.toPluginSlug(manifest.name || fallbackName);
+    }
+
+    toPluginSlug(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    isArchivePath(source) {
+        return path.extname(source).toLowerCase() === '.zip';
+    }
+
+    /**
+     * Runs callback(pluginDir, trusted) with a plugin directory. Zips go through the
+     * archive checks and are unpacked into a temporary directory that is removed
+     * afterwards; they are untrusted, so their own settings must not be applied.
+     */
+    async withPluginDirectory(source, callback) {
+        if (!this.isArchivePath(source)) {
+            return callback(source, true);
+        }
+
+        const plugin = await this.loadPluginSource(source);
+        const tempPath = await fs.mkdtemp(path.join(os.tmpdir(), 'wintool-plugin-'));
+
+        try {
+            await this.writePackageFiles(plugin.files, tempPath);
+            return await callback(tempPath, false);
+        } finally {
+            await this.removeDirectory(tempPath);
+        }
+    }
+
+    async installPlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const source = positionals[0];
+
+        log.title('📥 Install Plugin');
+
+        if (!source) {
+            log.error('Usage: install <zip|dir> [--upgrade] [--force] [--plugin-dir=<dir>]');
+            return false;
+        }
+
+        const directories = this.getPluginDirectories(flags);
+        log.info(`Installing ${source} into ${directories.plugins}`);
+
+        const plugin = await this.loadPluginSource(source);
+        const manifest = this.parsePackageManifest(plugin.files);
+        if (!manifest) {
+            log.error('Package does not contain a valid plugin.json');
+            return false;
+        }
+
+        const existing = await this.findInstalledPlugin(directories.plugins, manifest.name, plugin.folderName);
+        if (existing) {
+            const installedVersion = existing.manifest.version || 'N/A';
+
+            if (!flags.upgrade) {
+                log.error(`${existing.manifest.name || existing.folderName} v${installedVersion} is already installed at ${existing.path}`);
+                log.info('Use --upgrade to replace it');
+                return false;
+            }
+
+            if (!this.checkVersionChange(existing.manifest.version, manifest.version, flags.force)) {
+                return false;
+            }
+        }
+
+        return this.deployPlugin(plugin, manifest, directories, {
+            folderName: existing ? existing.folderName : plugin.folderName,
+            existing,
+            skipNpm: Boolean(flags['skip-npm']),
+            trustBundled: Boolean(flags['trust-bundled']),
+            // Only plugin directories are the user's own; zips are checked with the default settings
+            trusted: Boolean(plugin.configPath),
+            config: plugin.configPath ? await this.loadPluginConfig(plugin.configPath) : undefined
+        });
+    }
+
+    /**
+     * Stages the plugin next to the plugins directory, checks the staged copy,
+     * installs backend dependencies, then swaps it in. The previous version is
+     * moved to the backups directory rather than deleted.
+     */
+    async deployPlugin(plugin, manifest, directories, options) {
+        const targetPath = path.join(directories.plugins, options.folderName);
+        const stagePath = path.join(directories.staging, `${options.folderName}-${process.pid}-${Date.now()}`);
+
+        try {
+            if (!options.trusted && plugin.files.delete(PLUGIN_CONFIG_FILE)) {
+                log.warning(`Removed the package's ${PLUGIN_CONFIG_FILE}; it does not apply to installed plugins`);
+            }
+
+            // Bundled packages can neither be checked against the lockfile nor scanned, so a zip's
+            // node_modules are replaced by a fresh npm install unless the user vouches for them
+            const bundled = [...plugin.files.keys()].filter(file => file.startsWith('node_modules/'));
+            if (bundled.length > 0 && !options.trusted && !options.trustBundled) {
+                bundled.forEach(file => plugin.files.delete(file));
+                log.warning(`Removed ${bundled.length} bundled node_modules file(s); dependencies are installed with npm instead (use --trust-bundled to keep them)`);
+            }
+            await this.writePackageFiles(plugin.files, stagePath);
+
+            log.subtitle('Checking staged plugin...');
+            const validation = await this.runValidation(stagePath);
+            validation.warnings.forEach(warning => log.warning(`  • ${warning}`));
+            if (!validation.isValid) {
+                validation.errors.forEach(error => log.error(`  • ${error}`));
+                log.error('Plugin validation failed. Nothing was installed.');
+                return false;
+            }
+
+            const scanResult = await this.runSecurityScan(stagePath, { config: options.config, trusted: options.trusted });
+            if (!scanResult.isSecure) {
+                scanResult.issues.forEach(issue => log.error(`  • ${this.formatSecurityIssue(issue)}`));
+                log.error('Security scan failed. Nothing was installed.');
+                return false;
+            }
+            log.success('Staged plugin passed validation and security checks');
+
+            if (manifest.backend && plugin.files.has('package.json')) {
+                if ([...plugin.files.keys()].some(file => file.startsWith('node_modules/'))) {
+                    log.info('Package bundles its production dependencies (build --production); skipping npm install');
+                } else if (options.skipNpm) {
+                    log.warning('Skipping npm install; the backend dependencies must be installed manually');
+                } else {
+                    log.info('Installing backend dependencies (npm install --production)...');
+                    execSync('npm install --production', { cwd: stagePath, stdio: 'inherit' });
+                }
+            }
+
+            await fs.mkdir(directories.plugins, { recursive: true });
+
+            let backupPath = null;
+            if (options.existing) {
+                backupPath = path.join(directories.backups, options.folderName);
+                await fs.mkdir(directories.backups, { recursive: true });
+                await this.removeDirectory(backupPath);
+                await fs.rename(targetPath, backupPath);
+            }
+
+            try {
+                await fs.rename(stagePath, targetPath);
+            } catch (error) {
+                // Put the previous version back so WinTool never sees a missing plugin
+                if (backupPath) {
+                    await fs.rename(backupPath, targetPath);
+                }
+                throw error;
+            }
+
+            log.success(`Installed ${manifest.name} v${manifest.version || 'N/A'} to ${targetPath}`);
+            if (backupPath) {
+                log.info(`Previous version v${options.existing.manifest.version || 'N/A'} backed up to ${backupPath}`);
+            }
+            log.info('Restart WinTool or reload plugins to use it');
+
+            return true;
+        } finally {
+            await this.removeDirectory(stagePath);
+            // Only succeeds once no other install is staging
+            await fs.rmdir(directories.staging).catch(() => {});
+        }
+    }
+
+    async uninstallPlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const name = positionals[0];
+
+        log.title('🗑️  Uninstall Plugin');
+
+        if (!name) {
+            log.error('Usage: uninstall <name> [--purge] [--plugin-dir=<dir>]');
+            return false;
+        }
+
+        const directories = this.getPluginDirectories(flags);
+        const installed = await this.findInstalledPlugin(directories.plugins, name, name);
+        if (!installed) {
+            log.error(`Plugin not installed: ${name}`);
+            return false;
+        }
+
+        // Moving the folder out first means WinTool never sees a half-deleted plugin
+        const removePath = path.join(directories.staging, `${installed.folderName}-${process.pid}-${Date.now()}`);
+        await fs.mkdir(directories.staging, { recursive: true });
+        await fs.rename(installed.path, removePath);
+
+        try {
+            await this.removeDirectory(removePath);
+        } finally {
+            await fs.rmdir(directories.staging).catch(() => {});
+        }
+
+        log.success(`Uninstalled ${installed.manifest.name || installed.folderName} v${installed.manifest.version || 'N/A'}`);
+
+        const backupPath = path.join(directories.backups, installed.folderName);
+        if (await this.pathExists(backupPath)) {
+            if (flags.purge) {
+                await this.removeDirectory(backupPath);
+                log.info('Removed the backup of the previous version');
+            } else {
+                log.info(`A backup of the previous version is kept at ${backupPath} (restore it with rollback, remove it with --purge)`);
+            }
+        }
+
+        return true;
+    }
+
+    async upgradePlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const [name, source] = positionals;
+
+        log.title('⬆️  Upgrade Plugin');
+
+        if (!name || !source) {
+            log.error('Usage: upgrade <name> <zip|dir> [--force] [--plugin-dir=<dir>]');
+            return false;
+        }
+
+        const directories = this.getPluginDirectories(flags);
+        const installed = await this.findInstalledPlugin(directories.plugins, name, name);
+        if (!installed) {
+            log.error(`Plugin not installed: ${name} (use install instead)`);
+            return false;
+        }
+
+        const plugin = await this.loadPluginSource(source);
+        const manifest = this.parsePackageManifest(plugin.files);
+        if (!manifest) {
+            log.error('Package does not contain a valid plugin.json');
+            return false;
+        }
+
+        if (installed.manifest.name && manifest.name !== installed.manifest.name && !flags.force) {
+            log.error(`Package is "${manifest.name}", not "${installed.manifest.name}" (use --force to replace it anyway)`);
+            return false;
+        }
+
+        if (!this.checkVersionChange(installed.manifest.version, manifest.version, flags.force)) {
+            return false;
+        }
+
+        return this.deployPlugin(plugin, manifest, directories, {
+            folderName: installed.folderName,
+            existing: installed,
+            skipNpm: Boolean(flags['skip-npm']),
+            trustBundled: Boolean(flags['trust-bundled']),
+            // Only plugin directories are the user's own; zips are checked with the default settings
+            trusted: Boolean(plugin.configPath),
+            config: plugin.configPath ? await this.loadPluginConfig(plugin.configPath) : undefined
+        });
+    }
+
+    async rollbackPlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const name = positionals[0];
+
+        log.title('⏪ Rollback Plugin');
+
+        if (!name) {
+            log.error('Usage: rollback <name> [--plugin-dir=<dir>]');
+            return false;
+        }
+
+        const directories = this.getPluginDirectories(flags);
+        const installed = await this.findInstalledPlugin(directories.plugins, name, name);
+        const backup = await this.findInstalledPlugin(directories.backups, name, installed ? installed.folderName : name);
+        if (!backup) {
+            log.error(`No backup found for ${name}`);
+            return false;
+        }
+
+        const targetPath = path.join(directories.plugins, backup.folderName);
+        const swapPath = path.join(directories.staging, `${backup.folderName}-${process.pid}-${Date.now()}`);
+        await fs.mkdir(directories.staging, { recursive: true });
+        await fs.mkdir(directories.plugins, { recursive: true });
+
+        try {
+            // The current version becomes the new backup, so a rollback can itself be undone
+            if (installed) {
+                await fs.rename(installed.path, swapPath);
+            }
+
+            try {
+                await fs.rename(backup.path, targetPath);
+            } catch (error) {
+                if (installed) {
+                    await fs.rename(swapPath, installed.path);
+                }
+                throw error;
+            }
+
+            if (installed) {
+                await fs.rename(swapPath, backup.path);
+            }
+        } finally {
+            await fs.rmdir(directories.staging).catch(() => {});
+        }
+
+        const restored = backup.manifest.version || 'N/A';
+        if (installed) {
+            log.success(`Rolled back ${backup.manifest.name || backup.folderName} from v${installed.manifest.version || 'N/A'} to v${restored}`);
+            log.info(`v${installed.manifest.version || 'N/A'} is now the backup; run rollback again to return to it`);
+        } else {
+            log.success(`Restored ${backup.manifest.name || backup.folderName} v${restored}`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Logs the version delta and decides whether the change may go ahead:
+     * upgrades always, reinstalls and downgrades only with --force.
+     */
+    checkVersionChange(fromVersion, toVersion, force) {
+        const delta = this.describeVersionChange(fromVersion, toVersion);
+        log.info(`Version: ${fromVersion || 'N/A'} → ${toVersion || 'N/A'} (${delta})`);
+
+        if (delta === 'same version' && !force) {
+            log.error('This version is already installed; use --force to reinstall it');
+            return false;
+        }
+
+        if (delta === 'downgrade' && !force) {
+            log.error('Refusing to downgrade; use --force to install the older version');
+            return false;
+        }
+
+        return true;
+    }
+
+    describeVersionChange(fromVersion, toVersion) {
+        const from = this.parseVersion(fromVersion);
+        const to = this.parseVersion(toVersion);
+
+        if (!from || !to) {
+            return fromVersion === toVersion ? 'same version' : 'unknown change';
+        }
+
+        const order = this.compareVersions(fromVersion, toVersion);
+        if (order === 0) {
+            return 'same version';
+        }
+        if (order > 0) {
+            return 'downgrade';
+        }
+
+        if (to.major !== from.major) {
+            return 'major upgrade';
+        }
+        if (to.minor !== from.minor) {
+            return 'minor upgrade';
+        }
+        return to.patch !== from.patch ? 'patch upgrade' : 'prerelease upgrade';
+    }
+
+    parseVersion(version) {
+        const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(version || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        return {
+            major: Number(match[1]),
+            minor: Number(match[2]),
+            patch: Number(match[3]),
+            prerelease: match[4] ? match[4].split('.') : []
+        };
+    }
+
+    // Semver precedence: negative when a < b, 0 when equal, positive when a > b
+    compareVersions(a, b) {
+        const left = this.parseVersion(a);
+        const right = this.parseVersion(b);
+
+        if (!left || !right) {
+            return String(a).localeCompare(String(b), undefined, { numeric: true });
+        }
+
+        for (const part of ['major', 'minor', 'patch']) {
+            if (left[part] !== right[part]) {
+                return left[part] - right[part];
+            }
+        }
+
+        // A release ranks above its prereleases (1.0.0 > 1.0.0-beta)
+        if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+            return right.prerelease.length - left.prerelease.length;
+        }
+
+        for (let i = 0; i < Math.max(left.prerelease.length, right.prerelease.length); i++) {
+            const x = left.prerelease[i];
+            const y = right.prerelease[i];
+            if (x === undefined || y === undefined) {
+                return x === undefined ? -1 : 1;
+            }
+            if (x !== y) {
+                const bothNumeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+                return bothNumeric ? Number(x) - Number(y) : (x < y ? -1 : 1);
+            }
+        }
+
+        return 0;
+    }
+
+    async pathExists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    getPluginDirectories(flags = {}) {
+        const plugins = typeof flags['plugin-dir'] === 'string' ? path.resolve(flags['plugin-dir']) : PLUGIN_DIR;
+
+        // Staging and backups live beside the plugins directory so WinTool never loads them
+        return {
+            plugins,
+            staging: path.join(path.dirname(plugins), 'PluginStaging'),
+            backups: path.join(path.dirname(plugins), 'PluginBackups')
+        };
+    }
+
+    /**
+     * Reads a plugin from a zip or directory into a Map of path -> contents.
+     * Zips that wrap everything in one top-level folder are unwrapped.
+     */
+    async loadPluginSource(source) {
+        const stat = await fs.stat(source);
+
+        if (stat.isDirectory()) {
+            return {
+                files: await this.collectPackageFiles(source),
+                folderName: path.basename(path.resolve(source)),
+                configPath: source
+            };
+        }
+
+        const files = await this.readArchive(source);
+
+        let folderName = path.basename(source, path.extname(source));
+        const roots = new Set([...files.keys()].map(file => file.split('/')[0]));
+        if (!files.has('plugin.json') && !files.has(TEMPLATE_MANIFEST_FILE) && roots.size === 1) {
+            const [root] = roots;
+            if (files.has(`${root}/plugin.json`) || files.has(`${root}/${TEMPLATE_MANIFEST_FILE}`)) {
+                folderName = root;
+                for (const [file, content] of [...files]) {
+                    files.delete(file);
+                    files.set(file.slice(root.length + 1), content);
+                }
+            }
+        }
+
+        return { files, folderName };
+    }
+
+    parsePackageManifest(files) {
+        try {
+            return JSON.parse(files.get('plugin.json').toString('utf8'));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Matches by manifest name first, then by folder name
+    async findInstalledPlugin(pluginDir, name, folderName) {
+        let folderMatch = null;
+
+        for (const plugin of await this.getInstalledPlugins(pluginDir)) {
+            const manifest = plugin.manifest || {};
+
+            if (name && typeof manifest.name === 'string' && manifest.name.toLowerCase() === name.toLowerCase()) {
+                return { ...plugin, manifest };
+            }
+            if (plugin.folderName.toLowerCase() === (folderName || '').toLowerCase()) {
+                folderMatch = { ...plugin, manifest };
+            }
+        }
+
+        return folderMatch;
+    }
+
+    async writePackageFiles(files, targetPath) {
+        for (const [file, content] of files) {
+            const filePath = path.join(targetPath, file);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, content);
+        }
+    }
+
+    async removeDirectory(dirPath) {
+        // fs.rm only exists from Node 14.14
+        if (fs.rm) {
+            await fs.rm(dirPath, { recursive: true, force: true });
+        } else {
+            await fs.rmdir(dirPath, { recursive: true });
+        }
+    }
+
+    async generateSigningKeys(args) {
+        const { flags } = this.parseCommandArgs(args);
+        const outputDir = path.resolve(typeof flags.out === 'string' ? flags.out : process.cwd());
+        const name = typeof flags.name === 'string' ? flags.name : DEFAULT_KEY_NAME;
+        const privateKeyPath = path.join(outputDir, `${name}.private.pem`);
+        const publicKeyPath = path.join(outputDir, `${name}.public.pem`);
+
+        log.title('🔑 Generate Signing Keys');
+
+        if (!flags.force) {
+            for (const keyPath of [privateKeyPath, publicKeyPath]) {
+                try {
+                    await fs.access(keyPath);
+                    log.error(`Key file already exists: ${keyPath} (use --force to overwrite)`);
+                    return false;
+                } catch (e) {
+                    // Expected: the key does not exist yet
+                }
+            }
+        }
+
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+        await fs.mkdir(outputDir, { recursive: true });
+        await fs.writeFile(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+        await fs.writeFile(publicKeyPath, publicKey.export({ type: 'spki', format: 'pem' }));
+
+        log.success(`Private key: ${privateKeyPath}`);
+        log.success(`Public key:  ${publicKeyPath}`);
+        log.info(`Fingerprint: ${this.getKeyFingerprint(publicKey)}`);
+        log.warning('Keep the private key secret; share the public key with the people who install your plugins');
+
+        return true;
+    }
+
+    async signPackage(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const zipPath = positionals[0];
+
+        log.title('✍️  Sign Plugin Package');
+
+        if (!zipPath || typeof flags.key !== 'string') {
+            log.error('Usage: sign <zip> --key=<private.pem>');
+            return false;
+        }
+
+        const privateKey = crypto.createPrivateKey(await fs.readFile(flags.key, 'utf8'));
+        if (privateKey.asymmetricKeyType !== 'ed25519') {
+            log.error(`Expected an Ed25519 private key, got ${privateKey.asymmetricKeyType}`);
+            return false;
+        }
+        const publicKey = crypto.createPublicKey(privateKey);
+
+        // Re-signing replaces any previous signature
+        const packageFiles = await this.readArchive(zipPath);
+        packageFiles.delete(SIGNATURE_FILE);
+
+        const files = this.hashPackageFiles(packageFiles);
+        const payload = {
+            version: SIGNATURE_VERSION,
+            contentsHash: this.calculateContentsHash(files),
+            files
+        };
+
+        const signature = {
+            algorithm: 'ed25519',
+            keyFingerprint: this.getKeyFingerprint(publicKey),
+            publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+            payload,
+            signature: crypto.sign(null, Buffer.from(JSON.stringify(payload)), privateKey).toString('base64')
+        };
+
+        packageFiles.set(SIGNATURE_FILE, Buffer.from(JSON.stringify(signature, null, 2) + '\n'));
+
+        const tempPath = `${zipPath}.tmp`;
+        await this.writeDeterministicZip(packageFiles, tempPath);
+        await fs.rename(tempPath, zipPath);
+
+        log.success(`Signed ${files.length} file(s) in ${zipPath}`);
+        log.info(`Contents hash: ${payload.contentsHash}`);
+        log.info(`Key fingerprint: ${signature.keyFingerprint}`);
+
+        return true;
+    }
+
+    async verifyPackage(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const zipPath = positionals[0];
+
+        log.title('🔏 Verify Plugin Package');
+
+        if (!zipPath) {
+            log.error('Usage: verify <zip> [--key=<public.pem>]');
+            return false;
+        }
+
+        log.info(`Verifying package: ${zipPath}`);
+
+        const trustedKey = typeof flags.key === 'string' ? await fs.readFile(flags.key, 'utf8') : null;
+        const result = await this.runSignatureVerification(zipPath, { trustedKey });
+
+        result.errors.forEach(error => log.error(error));
+        result.tampered.forEach(file => log.error(`  • Tampered: ${file}`));
+        result.missing.forEach(file => log.error(`  • Missing: ${file}`));
+        result.extra.forEach(file => log.error(`  • Extra: ${file}`));
+
+        if (result.keyFingerprint) {
+            log.info(`Key fingerprint: ${result.keyFingerprint}`);
+        }
+
+        if (!result.isValid) {
+            log.error('Package verification failed!');
+            return false;
+        }
+
+        log.success(`Signature valid for ${result.fileCount} file(s)`);
+        if (!result.trusted) {
+            log.warning('The signer was not checked against a trusted key; pass --key=<public.pem> to confirm who signed it');
+        }
+
+        return true;
+    }
+
+    /**
+     * Checks the embedded signature and compares the signed file list with the zip's
+     * contents. With a trusted key the signer must match it; otherwise the embedded
+     * public key is used and the result is marked untrusted.
+     */
+    async runSignatureVerification(zipPath, options = {}) {
+        const result = {
+            isValid: false,
+            trusted: false,
+            keyFingerprint: null,
+            fileCount: 0,
+            tampered: [],
+            missing: [],
+            extra: [],
+            errors: []
+        };
+
+        const packageFiles = await this.readArchive(zipPath);
+        const signatureContent = packageFiles.get(SIGNATURE_FILE);
+        packageFiles.delete(SIGNATURE_FILE);
+
+        if (!signatureContent) {
+            result.errors.push(`Package is not signed (no ${SIGNATURE_FILE})`);
+            return result;
+        }
+
+        let signature;
+        try {
+            signature = JSON.parse(signatureContent.toString('utf8'));
+        } catch (error) {
+            result.errors.push(`Invalid ${SIGNATURE_FILE}: ${error.message}`);
+            return result;
+        }
+
+        if (signature.algorithm !== 'ed25519' || !signature.payload || signature.payload.version !== SIGNATURE_VERSION) {
+            result.errors.push(`Unsupported signature format in ${SIGNATURE_FILE}`);
+            return result;
+        }
+
+        let publicKey;
+        try {
+            publicKey = crypto.createPublicKey(options.trustedKey || signature.publicKey);
+        } catch (error) {
+            result.errors.push(`Invalid public key: ${error.message}`);
+            return result;
+        }
+
+        result.keyFingerprint = this.getKeyFingerprint(publicKey);
+        if (options.trustedKey && result.keyFingerprint !== signature.keyFingerprint) {
+            result.errors.push(`Package was signed by a different key (${signature.keyFingerprint})`);
+            return result;
+        }
+        result.trusted = Boolean(options.trustedKey);
+
+        const signatureValid = crypto.verify(null, Buffer.from(JSON.stringify(signature.payload)),
+            publicKey, Buffer.from(signature.signature || '', 'base64'));
+        if (!signatureValid) {
+            result.errors.push('Signature does not match the signed file list');
+            return result;
+        }
+
+        // The file list is authentic; now check the zip still matches it
+        const signedFiles = new Map(signature.payload.files.map(file => [file.path, file]));
+        const actualFiles = new Map(this.hashPackageFiles(packageFiles).map(file => [file.path, file]));
+
+        for (const [file, signed] of signedFiles) {
+            const actual = actualFiles.get(file);
+            if (!actual) {
+                result.missing.push(file);
+            } else if (actual.sha256 !== signed.sha256 || actual.size !== signed.size) {
+                result.tampered.push(file);
+            }
+        }
+        for (const file of actualFiles.keys()) {
+            if (!signedFiles.has(file)) {
+                result.extra.push(file);
+            }
+        }
+
+        if (this.calculateContentsHash(signature.payload.files) !== signature.payload.contentsHash) {
+            result.errors.push('Signed contents hash does not match the signed file list');
+        }
+
+        result.fileCount = signedFiles.size;
+        result.isValid = result.errors.length === 0 && result.tampered.length === 0 &&
+            result.missing.length === 0 && result.extra.length === 0;
+
+        return result;
+    }
+
+    hashPackageFiles(files) {
+        return [...files.entries()]
+            .map(([file, content]) => ({
+                path: file,
+                size: content.length,
+                sha256: crypto.createHash('sha256').update(content).digest('hex')
+            }))
+            .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    }
+
+    // One line per file ("<sha256>  <path>") so both renames and content changes alter the hash
+    calculateContentsHash(files) {
+        const hash = crypto.createHash('sha256');
+        for (const file of files) {
+            hash.update(`${file.sha256}  ${file.path}\n`);
+        }
+        return hash.digest('hex');
+    }
+
+    getKeyFingerprint(publicKey) {
+        const der = publicKey.export({ type: 'spki', format: 'der' });
+        return `SHA256:${crypto.createHash('sha256').update(der).digest('base64').replace(/=+$/, '')}`;
+    }
+
+    async testPlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const pluginPath = positionals[0] || process.cwd();
+        const report = this.startReport(flags);
+
+        log.title('🧪 Testing Plugin');
+        log.info(`Testing plugin at: ${pluginPath}`);
+
+        let allTestsPassed = true;
+
+        const { validation, security, lint, dom } = await this.withPluginDirectory(pluginPath, async (pluginDir, trusted) => {
+            // Run validation tests
+            log.subtitle('Running validation tests...');
+            const validation = await this.runValidation(pluginDir);
+            if (validation.isValid) {
+                log.success('✓ Validation tests passed');
+            } else {
+                log.error('✗ Validation tests failed');
+                allTestsPassed = false;
+            }
+
+            // Run security tests
+            log.subtitle('Running security tests...');
+            const security = await this.runSecurityScan(pluginDir, { trusted });
+            if (security.isSecure) {
+                log.success('✓ Security tests passed');
+            } else {
+                log.error('✗ Security tests failed');
+                allTestsPassed = false;
+            }
+
+            // Run lint rules (rule modules are only loaded from plugin directories, never from a zip)
+            log.subtitle('Running lint rules...');
+            const lint = await this.runLintRules(pluginDir, { trusted });
+            lint.warnings.forEach(warning => log.warning(warning));
+            if (lint.passed) {
+                log.success('✓ Lint rules passed');
+            } else {
+                log.error('✗ Lint rules failed');
+                allTestsPassed = false;
+            }
+            this.printLintResult(lint);
+
+            // Load the page headlessly and run the plugin's tests (test modules, like rule modules, never run from a zip).
+            // jsdom is not a sandbox, so the page's scripts never run after a failed scan, nor from a zip unless asked
+            log.subtitle('Running DOM tests...');
+            let dom = null;
+            if (!security.isSecure) {
+                log.warning('DOM tests skipped: plugin scripts are not run after the security scan fails');
+            } else if (!trusted && !flags['run-dom-tests']) {
+                log.warning('DOM tests skipped: scripts from a zip only run with --run-dom-tests');
+            } else {
+                dom = await this.runDomTests(pluginDir, { trusted });
+                dom.warnings.forEach(warning => log.warning(warning));
+                if (dom.passed) {
+                    log.success('✓ DOM tests passed');
+                } else {
+                    log.error('✗ DOM tests failed');
+                    allTestsPassed = false;
+                }
+                this.printDomTestResult(dom);
+            }
+
+            return { validation, security, lint, dom };
+        });
+
+        // Summary
+        if (allTestsPassed) {
+            log.success('🎉 All tests passed!');
+        } else {
+            log.error('❌ Some tests failed. Please fix the issues and try again.');
+        }
+
+        if (report) {
+            await this.writeReport(report, 'test', pluginPath, [
+                this.toReportSection('validation', validation),
+                this.toReportSection('security', security),
+                this.toReportSection('lint', lint),
+                dom && this.toReportSection('dom', dom)
+            ].filter(Boolean));
+        }
+
+        return allTestsPassed;
+    }
+
+    /**
+     * Loads the plugin page into jsdom once per test: first the built-in check that the
+     * scripts run without uncaught errors and call markTabAsReady, then every test in
+     * tests/*.test.js. Returns { passed, tests: [{ name, file?, passed, error? }], warnings }.
+     */
+    async runDomTests(pluginPath, options = {}) {
+        const result = { passed: true, tests: [], warnings: [] };
+
+        let manifest;
+        let html;
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(pluginPath, 'plugin.json'), 'utf8'));
+            html = await fs.readFile(path.join(pluginPath, manifest.main || 'index.html'), 'utf8');
+        } catch (error) {
+            result.passed = false;
+            result.tests.push({ name: 'plugin page loads', passed: false, error: `Could not read the plugin page: ${error.message}` });
+            return result;
+        }
+
+        const tests = [{
+            name: 'plugin page loads and marks the tab as ready',
+            run: async (plugin) => {
+                if (plugin.ready.length === 0) {
+                    throw new Error('window.markTabAsReady(tabId) was not called');
+                }
+            }
+        }];
+
+        const testDir = path.join(pluginPath, DOM_TEST_DIR);
+        const testFiles = (await fs.readdir(testDir).catch(() => []))
+            .filter(name => DOM_TEST_PATTERN.test(name))
+            .sort();
+
+        if (testFiles.length > 0 && options.trusted === false) {
+            result.warnings.push(`Skipped ${testFiles.length} test module(s) in ${DOM_TEST_DIR}/: test modules are not run from a zip`);
+        } else {
+            for (const name of testFiles) {
+                tests.push(...this.loadDomTestModule(path.join(testDir, name), `${DOM_TEST_DIR}/${name}`));
+            }
+        }
+
+        // Async handlers that reject inside the page surface here instead of in jsdom
+        let current = null;
+        const onRejection = (reason) => {
+            if (current) {
+                current.errors.push(reason);
+            }
+        };
+        process.on('unhandledRejection', onRejection);
+
+        // Checked after loading and again after the test, so a broken script is reported before its symptoms
+        const checkUncaught = (plugin) => {
+            if (plugin.errors.length > 0) {
+                throw new Error(`Uncaught ${this.describeDomError(plugin.errors[0], pluginPath)}` +
+                    (plugin.errors.length > 1 ? ` (and ${plugin.errors.length - 1} more)` : ''));
+            }
+        };
+
+        try {
+            for (const test of tests) {
+                const entry = { name: test.name, file: test.file, passed: true };
+                let plugin = null;
+                let finished = false;
+                let timer;
+
+                try {
+                    if (test.error) {
+                        throw new Error(test.error);
+                    }
+
+                    await Promise.race([
+                        (async () => {
+                            plugin = current = await this.createPluginDom(pluginPath, manifest, html, test.setup);
+                            if (finished) {
+                                // Timed out while loading; the finally block has already run
+                                plugin.window.close();
+                                return;
+                            }
+                            checkUncaught(plugin);
+                            await test.run(plugin);
+                            await plugin.settle();
+                            checkUncaught(plugin);
+                        })(),
+                        new Promise((resolve, reject) => {
+                            timer = setTimeout(() => reject(new Error(`Test timed out after ${DOM_TEST_TIMEOUT}ms`)), DOM_TEST_TIMEOUT);
+                        })
+                    ]);
+                } catch (error) {
+                    entry.passed = false;
+                    entry.error = this.describeDomError(error, pluginPath);
+                } finally {
+                    finished = true;
+                    clearTimeout(timer);
+                    current = null;
+                    if (plugin) {
+                        plugin.window.close();
+                    }
+                }
+
+                result.tests.push(entry);
+            }
+        } finally {
+            process.removeListener('unhandledRejection', onRejection);
+        }
+
+        result.passed = result.tests.every(test => test.passed);
+        return result;
+    }
+
+    /**
+     * A test module exports a test function, or an object of named test functions
+     * plus an optional setup(plugin) that runs before the plugin's scripts.
+     */
+    loadDomTestModule(modulePath, file) {
+        let exported;
+        try {
+            delete require.cache[require.resolve(modulePath)];
+            exported = require(modulePath);
+        } catch (error) {
+            return [{ name: 'test module', file, error: `Could not load test module: ${error.message}` }];
+        }
+
+        if (typeof exported === 'function') {
+            return [{ name: path.basename(file).replace(DOM_TEST_PATTERN, ''), file, run: exported }];
+        }
+
+        const { setup, ...named } = exported && typeof exported === 'object' ? exported : {};
+        const tests = Object.entries(named).filter(([, run]) => typeof run === 'function');
+        if (tests.length === 0 || (setup !== undefined && typeof setup !== 'function')) {
+            return [{ name: 'test module', file, error: 'Test module must export a test function or an object of test functions' }];
+        }
+
+        return tests.map(([name, run]) => ({ name, file, run, setup }));
+    }
+
+    /**
+     * Builds the page the way WinTool shows a plugin tab: the body of the main page inside a
+     * [data-tab] container, then each script run with tabContainer and tabId in scope and a
+     * recording window.wintoolAPI. The returned harness is what setup() and tests receive.
+     */
+    async createPluginDom(pluginPath, manifest, html, setup) {
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        const vm = require('vm');
+        const assert = require('assert');
+
+        const id = this.getPluginId(manifest, path.basename(path.resolve(pluginPath)));
+        const mainPath = path.join(pluginPath, manifest.main || 'index.html');
+        const errors = [];
+        const logs = [];
+
+        const virtualConsole = new VirtualConsole();
+        ['log', 'info', 'warn', 'error', 'debug'].forEach(level => virtualConsole.on(level, (...args) => {
+            logs.push({ level, message: args.map(String).join(' ') });
+        }));
+        virtualConsole.on('jsdomError', error => {
+            if (error.type === 'unhandled exception') {
+                errors.push(error.detail || error);
+            } else {
+                logs.push({ level: 'warn', message: error.message });
+            }
+        });
+
+        const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+            url: pathToFileURL(mainPath).href,
+            runScripts: 'dangerously',
+            pretendToBeVisual: true,
+            virtualConsole
+        });
+        const { window } = dom;
+        const { document } = window;
+
+        const container = document.createElement('div');
+        container.className = 'tab-content active';
+        container.setAttribute('data-tab', id);
+        document.body.appendChild(container);
+
+        // Scripts are collected in page order and run after the markup is in place
+        const page = new window.DOMParser().parseFromString(html, 'text/html');
+        const scripts = [...page.querySelectorAll('script')].map(script => {
+            script.remove();
+            return script.getAttribute('src') === null
+                ? { file: path.relative(pluginPath, mainPath), code: script.textContent }
+                : { src: script.getAttribute('src') };
+        });
+        container.append(...[...page.body.childNodes].map(node => document.importNode(node, true)));
+
+        // WinTool loads script.js itself, so pages usually have no <script> tag for it
+        const mainScript = path.join(pluginPath, 'script.js');
+        const referenced = scripts.some(script => script.src && path.resolve(path.dirname(mainPath), script.src) === path.resolve(mainScript));
+        if (!referenced && await fs.access(mainScript).then(() => true, () => false)) {
+            scripts.push({ src: path.relative(path.dirname(mainPath), mainScript) });
+        }
+
+        const ready = [];
+        const calls = [];
+        const responses = new Map();
+        const storage = new Map();
+        const defaults = {
+            getSystemInfo: {},
+            runPluginScript: '',
+            'storage.get': (pluginId, key) => {
+                const stored = `${pluginId}/${key}`;
+                return storage.has(stored) ? storage.get(stored) : null;
+            },
+            'storage.set': (pluginId, key, value) => {
+                storage.set(`${pluginId}/${key}`, value);
+            },
+            'dialog.showOpenDialog': { canceled: true },
+            'dialog.showSaveDialog': { canceled: true }
+        };
+
+        // Records a call and later hands the page its response, both as JSON strings
+        const bridge = (method, argsJson, done) => {
+            const args = JSON.parse(argsJson);
+            calls.push({ method, args });
+            const response = responses.has(method) ? responses.get(method) : defaults[method];
+            Promise.resolve()
+                .then(() => (typeof response === 'function' ? response(...args) : response))
+                .then(value => done(null, value === undefined ? undefined : JSON.stringify(value)))
+                .catch(error => done(String(error && error.message ? error.message : error)));
+        };
+        const markReady = (argsJson) => ready.push(JSON.parse(argsJson)[0]);
+
+        // The mocks are created inside the page's realm: a CLI function on window would give plugin
+        // scripts the CLI's Function constructor, and with it process. The bridge stays in this closure.
+        const context = dom.getInternalVMContext();
+        const { emit } = new vm.Script(`(function (bridge, markReady) {
+            const { parse, stringify } = JSON;
+            const PagePromise = Promise;
+            const PageError = Error;
+            const PageCustomEvent = CustomEvent;
+            const toJSON = (args) => stringify(args, (key, value) => (typeof value === 'function' ? undefined : value));
+            const call = (method, args) => new PagePromise((resolve, reject) => {
+                bridge(method, toJSON(args), (failure, result) => (failure === null
+                    ? resolve(result === undefined ? undefined : parse(result))
+                    : reject(new PageError(failure))));
+            });
+            const listeners = new Map();
+
+            window.markTabAsReady = (tabId) => markReady(toJSON([tabId]));
+            window.wintoolAPI = {
+                invoke: (...args) => call('invoke', args),
+                getSystemInfo: (...args) => call('getSystemInfo', args),
+                runPluginScript: (...args) => call('runPluginScript', args),
+                showNotification: (...args) => call('showNotification', args),
+                notifications: {
+                    show: (...args) => call('notifications.show', args)
+                },
+                storage: {
+                    get: (...args) => call('storage.get', args),
+                    set: (...args) => call('storage.set', args)
+                },
+                dialog: {
+                    showOpenDialog: (...args) => call('dialog.showOpenDialog', args),
+                    showSaveDialog: (...args) => call('dialog.showSaveDialog', args)
+                },
+                tabs: {
+                    on: (eventName, callback) => {
+                        listeners.set(eventName, [...(listeners.get(eventName) || []), callback]);
+                        return call('tabs.on', [eventName, callback]);
+                    },
+                    off: (eventName, callback) => {
+                        listeners.set(eventName, (listeners.get(eventName) || []).filter(listener => listener !== callback));
+                        return call('tabs.off', [eventName, callback]);
+                    }
+                }
+            };
+
+            return {
+                emit: (eventName, detailJson) => (listeners.get(eventName) || []).forEach(listener =>
+                    listener(new PageCustomEvent(eventName, { detail: detailJson === undefined ? null : parse(detailJson) })))
+            };
+        })`).runInContext(context)(bridge, markReady);
+
+        // Synchronous page code can only be stopped by vm's timeout, so calls into the page run inside a
+        // script with one. The callback is handed over under a random global name that is deleted first.
+        const enterPage = (callback) => {
+            const key = `__wintool_${crypto.randomBytes(8).toString('hex')}`;
+            window[key] = callback;
+            return new vm.Script(`'use strict'; (() => { const callback = ${key}; delete window.${key}; return callback(); })()`)
+                .runInContext(context, { timeout: DOM_TEST_TIMEOUT });
+        };
+
+        const settle = async () => {
+            for (let i = 0; i < 3; i++) {
+                await new Promise(resolve => window.setTimeout(resolve, 0));
+            }
+        };
+        const query = (selector) => {
+            const element = container.querySelector(selector);
+            if (!element) {
+                throw new Error(`No element in the plugin matches ${selector}`);
+            }
+            return element;
+        };
+
+        const plugin = {
+            id,
+            tabId: id,
+            window,
+            document,
+            container,
+            ready,
+            errors,
+            logs,
+            assert,
+            api: {
+                calls,
+                callsTo: (method) => calls.filter(call => call.method === method),
+                respond: (method, response) => responses.set(method, response),
+                emit: (eventName, detail) => enterPage(() => emit(eventName, detail === undefined ? undefined : JSON.stringify(detail)))
+            },
+            settle,
+            query,
+            click: async (selector) => {
+                const element = query(selector);
+                enterPage(() => element.click());
+                await settle();
+            },
+            type: async (selector, value) => {
+                const element = query(selector);
+                enterPage(() => {
+                    element.value = value;
+                    element.dispatchEvent(new window.Event('input', { bubbles: true }));
+                    element.dispatchEvent(new window.Event('change', { bubbles: true }));
+                });
+                await settle();
+            }
+        };
+
+        if (setup) {
+            await setup(plugin);
+        }
+
+        // Plugin scripts share the page's globals but, as in WinTool, their top level is a function scope
+        for (const script of scripts) {
+            let file = script.file;
+            let code = script.code;
+            if (script.src) {
+                if (/^[a-z][a-z0-9+.-]*:/i.test(script.src)) {
+                    logs.push({ level: 'warn', message: `External script not loaded: ${script.src}` });
+                    continue;
+                }
+                file = this.toRelativePath(pluginPath, path.resolve(path.dirname(mainPath), script.src));
+                code = await fs.readFile(path.join(pluginPath, file), 'utf8');
+            }
+
+            try {
+                const run = new vm.Script(`(function (tabContainer, tabId) {${code}\n})`, { filename: path.join(pluginPath, file) })
+                    .runInContext(context);
+                enterPage(() => run.call(window, container, plugin.tabId));
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+
+        await settle();
+        return plugin;
+    }
+
+    // "message (file:line)" using the first stack frame inside the plugin
+    describeDomError(error, pluginPath) {
+        if (!error || typeof error !== 'object') {
+            return String(error);
+        }
+
+        const message = error.name && error.name !== 'Error' && error.name !== 'AssertionError'
+            ? `${error.name}: ${error.message}`
+            : error.message;
+        const root = path.resolve(pluginPath) + path.sep;
+        const frame = String(error.stack || '').split('\n')
+            .map(line => line.match(/\(?((?:file:\/\/)?[^\s()]+?):(\d+):\d+\)?\s*$/))
+            .find(match => match && match[1].replace(/^file:\/\//, '').startsWith(root));
+
+        return frame ? `${message} (${this.toRelativePath(pluginPath, frame[1].replace(/^file:\/\//, ''))}:${frame[2]})` : message;
+    }
+
+    isDomTestFile(file) {
+        return path.posix.dirname(file) === DOM_TEST_DIR && DOM_TEST_PATTERN.test(file);
+    }
+
+    printDomTestResult(result) {
+        result.tests.forEach(test => {
+            const name = test.file ? `${test.file} › ${test.name}` : test.name;
+            if (test.passed) {
+                log.success(`  ${name}`);
+            } else {
+                log.error(`  ${name}`);
+                const [first, ...rest] = test.error.split('\n');
+                log.error(`    ${first}`);
+                rest.forEach(line => log.print(`      ${line}`));
+            }
+        });
+    }
+
+    /**
+     * Reads --format/--output. Without --output the report goes to stdout,
+     * so the coloured text output moves to stderr to keep stdout parseable.
+     */
+    startReport(flags) {
+        if (!flags.format) {
+            if (flags.output) {
+                throw new Error(`--output requires --format (${REPORT_FORMATS.join(', ')})`);
+            }
+            return null;
+        }
+
+        if (!REPORT_FORMATS.includes(flags.format)) {
+            throw new Error(`Unknown report format: ${flags.format} (expected ${REPORT_FORMATS.join(', ')})`);
+        }
+
+        if (flags.output === true) {
+            throw new Error('--output needs a file path, e.g. --output=report.json');
+        }
+
+        if (!flags.output) {
+            log.stream = process.stderr;
+        }
+
+        return { format: flags.format, output: flags.output };
+    }
+
+    /**
+     * Normalizes validation, security, lint and DOM test results into one shape:
+     * { ruleId, level: error|warning|note, message, file?, line?, column?, docs? }
+     */
+    toReportSection(name, result) {
+        const section = { name, passed: true, results: [] };
+
+        if (name === 'validation') {
+            section.passed = result.isValid;
+            result.errors.forEach(message => section.results.push({ ruleId: 'validation', level: 'error', message }));
+            result.warnings.forEach(message => section.results.push({ ruleId: 'validation', level: 'warning', message }));
+        } else if (name === 'dom') {
+            section.passed = result.passed;
+            result.tests.filter(test => !test.passed).forEach(test => section.results.push({
+                ruleId: 'dom-test',
+                level: 'error',
+                message: `${test.name}: ${test.error}`,
+                file: test.file
+            }));
+        } else {
+            section.passed = name === 'security' ? result.isSecure : result.passed;
+            result.issues.forEach(issue => section.results.push({
+                ruleId: issue.ruleId || `${name === 'security' ? 'scan' : 'lint'}-error`,
+                level: SARIF_LEVELS[issue.severity] || 'error',
+                severity: issue.severity,
+                message: issue.message,
+                file: issue.file,
+                line: issue.line,
+                column: issue.column,
+                docs: issue.docs
+            }));
+        }
+
+        // Drop location fields the finding does not have so the JSON stays compact
+        section.results = section.results.map(entry => JSON.parse(JSON.stringify(entry)));
+        return section;
+    }
+
+    async writeReport(report, command, pluginPath, sections) {
+        const formatters = {
+            json: this.formatJSONReport,
+            sarif: this.formatSARIFReport,
+            junit: this.formatJUnitReport
+        };
+        const content = formatters[report.format].call(this, command, path.resolve(pluginPath), sections);
+
+        if (report.output) {
+            await fs.mkdir(path.dirname(path.resolve(report.output)), { recursive: true });
+            await fs.writeFile(report.output, content);
+            log.info(`${report.format.toUpperCase()} report written to ${report.output}`);
+        } else {
+            process.stdout.write(content);
+        }
+    }
+
+    formatJSONReport(command, pluginPath, sections) {
+        const results = sections.flatMap(section => section.results.map(entry => ({ category: section.name, ...entry })));
+
+        return JSON.stringify({
+            reportVersion: REPORT_VERSION,
+            tool: { name: 'wintool-plugin-cli', version: CLI_VERSION },
+            command,
+            plugin: pluginPath,
+            passed: sections.every(section => section.passed),
+            summary: {
+                errors: results.filter(entry => entry.level === 'error').length,
+                warnings: results.filter(entry => entry.level === 'warning').length,
+                notes: results.filter(entry => entry.level === 'note').length
+            },
+            sections: sections.map(section => ({ name: section.name, passed: section.passed })),
+            results
+        }, null, 2) + '\n';
+    }
+
+    formatSARIFReport(command, pluginPath, sections) {
+        const results = sections.flatMap(section => section.results);
+        const ruleIds = [...new Set(results.map(entry => entry.ruleId))].sort();
+
+        const rules = ruleIds.map(id => {
+            const rule = SECURITY_RULES[id] || LINT_RULES[id];
+            const documented = results.find(entry => entry.ruleId === id && entry.docs);
+            return JSON.parse(JSON.stringify({
+                id,
+                shortDescription: { text: rule ? rule.message : `WinTool ${id} check` },
+                helpUri: documented ? documented.docs : undefined,
+                defaultConfiguration: { level: rule ? SARIF_LEVELS[rule.severity] : 'error' }
+            }));
+        });
+
+        const sarifResults = results.map(entry => {
+            const result = {
+                ruleId: entry.ruleId,
+                ruleIndex: ruleIds.indexOf(entry.ruleId),
+                level: entry.level,
+                message: { text: entry.message }
+            };
+
+            if (entry.file) {
+                const location = { artifactLocation: { uri: entry.file, uriBaseId: 'PLUGINROOT' } };
+                if (entry.line) {
+                    location.region = { startLine: entry.line, startColumn: entry.column || 1 };
+                }
+                result.locations = [{ physicalLocation: location }];
+            }
+
+            return result;
+        });
+
+        return JSON.stringify({
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'wintool-plugin-cli',
+                        version: CLI_VERSION,
+                        informationUri: 'https://github.com/MTechWare/wintool',
+                        rules
+                    }
+                },
+                originalUriBaseIds: {
+                    PLUGINROOT: { uri: `${pathToFileURL(pluginPath).href}/` }
+                },
+                automationDetails: { id: `wintool-plugin-cli/${command}/` },
+                results: sarifResults
+            }]
+        }, null, 2) + '\n';
+    }
+
+    formatJUnitReport(command, pluginPath, sections) {
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        // One suite per check; each error is a failed test case, warnings and
+        // notes are passing test cases so CI shows them without failing the build
+        let tests = 0;
+        let failures = 0;
+        const suites = sections.map(section => {
+            const cases = section.results.map(entry => {
+                const location = entry.file ? `${entry.file}${entry.line ? `:${entry.line}` : ''}` : '';
+                const name = escape(`${entry.ruleId}${location ? ` (${location})` : ''}: ${entry.message}`);
+                const classname = escape(`wintool.${command}.${section.name}`);
+
+                if (entry.level === 'error') {
+                    return `    <testcase classname="${classname}" name="${name}">\n` +
+                        `      <failure message="${escape(entry.message)}" type="${escape(entry.ruleId)}">${escape(location || entry.message)}</failure>\n` +
+                        '    </testcase>';
+                }
+
+                return `    <testcase classname="${classname}" name="${name}">\n` +
+                    `      <system-out>${escape(`${entry.level}: ${entry.message}`)}</system-out>\n` +
+                    '    </testcase>';
+            });
+
+            if (cases.length === 0) {
+                cases.push(`    <testcase classname="${escape(`wintool.${command}.${section.name}`)}" name="${escape(`${section.name} checks`)}"/>`);
+            }
+
+            const suiteFailures = section.results.filter(entry => entry.level === 'error').length;
+            tests += cases.length;
+            failures += suiteFailures;
+
+            return `  <testsuite name="${escape(section.name)}" tests="${cases.length}" failures="${suiteFailures}" errors="0" skipped="0">\n` +
+                `${cases.join('\n')}\n` +
+                '  </testsuite>';
+        });
+
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<testsuites name="${escape(`wintool-plugin-cli ${command} ${path.basename(pluginPath)}`)}" tests="${tests}" failures="${failures}">\n` +
+            `${suites.join('\n')}\n` +
+            '</testsuites>\n';
+    }
+
+    async lintPlugin(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const pluginPath = positionals[0] || process.cwd();
+
+        if (flags.list) {
+            log.title('🧹 Lint Rules');
+            const warnings = [];
+            const rules = await this.withPluginDirectory(pluginPath, async (pluginDir, trusted) =>
+                this.loadLintRules(pluginDir, await this.loadPluginConfig(pluginDir, { trusted }), { trusted, warnings }));
+            warnings.forEach(warning => log.warning(warning));
+
+            rules.forEach(rule => {
+                console.log(`  ${colors.cyan}${rule.id}${colors.reset} (${rule.severity}${rule.fix ? ', fixable' : ''}${rule.source ? `, ${rule.source}` : ''})`);
+                console.log(`      ${rule.message}`);
+                if (rule.docs) {
+                    console.log(`      ${rule.docs}`);
+                }
+            });
+            return true;
+        }
+
+        const report = this.startReport(flags);
+
+        log.title('🧹 Lint Plugin');
+        log.info(`Linting plugin at: ${pluginPath}`);
+
+        const result = await this.withPluginDirectory(pluginPath, (pluginDir, trusted) => this.runLintRules(pluginDir, { trusted }));
+        result.warnings.forEach(warning => log.warning(warning));
+        if (result.passed) {
+            log.success('Lint rules passed!');
+        } else {
+            log.error('Lint problems found!');
+        }
+        this.printLintResult(result);
+
+        if (result.suppressed.length > 0) {
+            log.info(`Suppressed findings: ${this.describeSuppressed(result.suppressed)}`);
+        }
+
+        const fixable = [...new Set(result.issues.filter(issue => issue.fixable).map(issue => issue.ruleId))];
+        if (fixable.length > 0) {
+            log.info(`Run "wintool-plugin-cli fix" to rewrite ${fixable.join(', ')} findings`);
+        }
+
+        if (report) {
+            await this.writeReport(report, 'lint', pluginPath, [this.toReportSection('lint', result)]);
+        }
+
+        return result.passed;
+    }
+
+    /**
+     * Runs every enabled lint rule against the plugin. Findings go through the
+     * same config and inline suppressions as the security scan and fail the run
+     * when they reach failOn; a rule that throws always fails it.
+     */
+    async runLintRules(pluginPath, options = {}) {
+        const result = {
+            passed: true,
+            issues: [],
+            suppressed: [],
+            warnings: []
         };
 
-        try {
-            // Scan JavaScript files for dangerous patterns
-            const jsFiles = ['script.js', 'backend.js'];
+        const config = options.config || await this.loadPluginConfig(pluginPath, { trusted: options.trusted });
+        result.warnings.push(...config.warnings);
+        const rules = await this.loadLintRules(pluginPath, config, { trusted: options.trusted, warnings: result.warnings });
+        const context = await this.createLintContext(pluginPath, { exclude: rules.map(rule => rule.modulePath), ignorePatterns: config.ignorePatterns });
 
-            for (const jsFile of jsFiles) {
-                const jsPath = path.join(pluginPath, jsFile);
-                try {
-                    const jsContent = await fs.readFile(jsPath, 'utf8');
-
-                    // Check for dangerous functions
-                    const dangerousPatterns = [
-                        { pattern: /eval\s*\(/, message: 'Use of eval() function detected', severity: 'high' },
-                        { pattern: /Function\s*\(/, message: 'Use of Function constructor detected', severity: 'high' },
-                        { pattern: /innerHTML\s*=/, message: 'Direct innerHTML assignment detected', severity: 'medium' },
-                        { pattern: /document\.write\s*\(/, message: 'Use of document.write() detected', severity: 'medium' },
-                        { pattern: /window\.location\s*=/, message: 'Direct location assignment detected', severity: 'medium' },
-                        { pattern: /require\s*\(/, message: 'Direct require() usage detected (use api.require instead)', severity: 'medium' }
-                    ];
-
-                    for (const { pattern, message, severity } of dangerousPatterns) {
-                        if (pattern.test(jsContent)) {
-                            scanResult.issues.push({ message: `${jsFile}: ${message}`, severity });
-                            if (severity === 'high') {
-                                scanResult.isSecure = false;
-                            }
-                        }
-                    }
+        for (const rule of rules) {
+            const setting = config.rules[rule.id];
+            if (setting === 'off' || setting === false) {
+                continue;
+            }
 
-                    // Check for proper API usage
-                    if (jsContent.includes('wintoolAPI') && !jsContent.includes('window.wintoolAPI')) {
-                        scanResult.recommendations.push('Use window.wintoolAPI for better compatibility');
-                    }
+            const report = (finding = {}) => {
+                const lines = finding.file && finding.line ? (context.read(finding.file) || '').split(/\r?\n/) : [];
+                result.issues.push({
+                    ruleId: rule.id,
+                    severity: rule.severity,
+                    message: finding.message || rule.message,
+                    file: finding.file,
+                    line: finding.line,
+                    column: finding.line ? finding.column || 1 : undefined,
+                    snippet: lines.length > 0 ? (lines[finding.line - 1] || '').trim().slice(0, 160) : undefined,
+                    docs: rule.docs,
+                    fixable: Boolean(rule.fix) && finding.fixable !== false
+                });
+            };
 
-                } catch (e) {
-                    // File doesn't exist, skip
-                }
+            try {
+                await rule.check({ ...context, report });
+            } catch (error) {
+                result.issues.push({ message: `Lint rule ${rule.id} failed: ${error.message}`, severity: 'high' });
             }
+        }
 
-            // Check HTML for security issues
-            try {
-                const htmlPath = path.join(pluginPath, 'index.html');
-                const htmlContent = await fs.readFile(htmlPath, 'utf8');
+        await this.applySuppressions(pluginPath, result, config, { ignoreBaseline: true, trusted: options.trusted });
 
-                if (htmlContent.includes('<script>') && htmlContent.includes('eval(')) {
-                    scanResult.issues.push({
-                        message: 'Inline script with eval() detected',
-                        severity: 'high'
-                    });
-                    scanResult.isSecure = false;
-                }
+        const threshold = SEVERITY_LEVELS.indexOf(config.failOn);
+        result.passed = !result.issues.some(issue => !issue.ruleId || SEVERITY_LEVELS.indexOf(issue.severity) >= threshold);
+        result.issues.sort((a, b) => (a.file || '').localeCompare(b.file || '') || (a.line || 0) - (b.line || 0));
 
-                if (!htmlContent.includes('Content-Security-Policy')) {
-                    scanResult.recommendations.push('Consider adding Content-Security-Policy meta tag');
-                }
+        return result;
+    }
 
-            } catch (e) {
-                // File doesn't exist, skip
+    printLintResult(result) {
+        result.issues.forEach(issue => {
+            const report = issue.severity === 'high' ? log.error : log.warning;
+            report(`  • ${this.formatSecurityIssue(issue)}`);
+            if (issue.snippet) {
+                log.print(`      ${issue.snippet}`);
             }
+        });
 
-        } catch (error) {
-            scanResult.issues.push({
-                message: `Scan error: ${error.message}`,
-                severity: 'high'
-            });
-            scanResult.isSecure = false;
+        const docs = new Map(result.issues.filter(issue => issue.docs).map(issue => [issue.ruleId, issue.docs]));
+        if (docs.size > 0) {
+            log.info('Rule documentation:');
+            docs.forEach((url, ruleId) => log.info(`  • ${ruleId}: ${url}`));
         }
-
-        return scanResult;
     }
 
-    async listPlugins(args) {
-        log.title('📦 Installed Plugins');
+    // Built-in rules, then workspace rules (wintool-rules/*.js), then the plugin's ruleModules
+    async loadLintRules(pluginPath, config, options = {}) {
+        const rules = this.getBuiltinLintRules();
+        const modules = [];
 
-        const directories = [PLUGIN_DIR, DEV_PLUGIN_DIR];
+        const workspaceDir = path.resolve(LINT_RULES_DIR);
+        try {
+            (await fs.readdir(workspaceDir))
+                .filter(file => path.extname(file) === '.js')
+                .sort()
+                .forEach(file => modules.push(path.join(workspaceDir, file)));
+        } catch (e) {
+            // No workspace rules
+        }
 
-        for (const dir of directories) {
-            const isDevDir = dir === DEV_PLUGIN_DIR;
-            log.subtitle(isDevDir ? 'Development Plugins:' : 'User Plugins:');
+        if (config.ruleModules.length > 0) {
+            if (options.trusted === false) {
+                (options.warnings || []).push('ruleModules from a packaged plugin are not loaded');
+            } else {
+                modules.push(...config.ruleModules.map(modulePath => path.resolve(pluginPath, modulePath)));
+            }
+        }
 
+        for (const modulePath of [...new Set(modules)]) {
+            let exported;
             try {
-                await fs.access(dir);
-                const plugins = await fs.readdir(dir);
+                exported = require(modulePath);
+            } catch (error) {
+                throw new Error(`Could not load lint rules from ${modulePath}: ${error.message}`);
+            }
 
-                if (plugins.length === 0) {
-                    log.info('  No plugins found');
-                    continue;
+            // A module exports one rule, an array of rules or { rules: [...] }
+            const moduleRules = Array.isArray(exported) ? exported
+                : exported && Array.isArray(exported.rules) ? exported.rules : [exported];
+            for (const rule of moduleRules) {
+                const problem = this.validateLintRule(rule, rules);
+                if (problem) {
+                    throw new Error(`Invalid lint rule in ${modulePath}: ${problem}`);
                 }
+                rules.push({ message: rule.id, ...rule, source: this.toRelativePath(process.cwd(), modulePath), modulePath });
+            }
+        }
+
+        return rules;
+    }
+
+    validateLintRule(rule, rules) {
+        if (!rule || typeof rule !== 'object') {
+            return 'a rule must be an object';
+        }
+        if (typeof rule.id !== 'string' || !/^[\w-]+\/[\w-]+$/.test(rule.id)) {
+            return `rule id ${JSON.stringify(rule.id)} must be namespaced, e.g. "team/rule-name"`;
+        }
+        if (rules.some(existing => existing.id === rule.id)) {
+            return `duplicate rule id "${rule.id}"`;
+        }
+        if (!SEVERITY_LEVELS.includes(rule.severity)) {
+            return `${rule.id}: severity must be one of ${SEVERITY_LEVELS.join(', ')}`;
+        }
+        if (typeof rule.check !== 'function') {
+            return `${rule.id}: check must be a function`;
+        }
+        if (rule.fix !== undefined && typeof rule.fix !== 'function') {
+            return `${rule.id}: fix must be a function`;
+        }
+        if (rule.docs !== undefined && typeof rule.docs !== 'string') {
+            return `${rule.id}: docs must be a URL string`;
+        }
+        return null;
+    }
 
-                for (const pluginName of plugins) {
-                    const pluginPath = path.join(dir, pluginName);
-                    const stat = await fs.stat(pluginPath);
-
-                    if (stat.isDirectory()) {
-                        try {
-                            const manifestPath = path.join(pluginPath, 'plugin.json');
-                            const manifestContent = await fs.readFile(manifestPath, 'utf8');
-                            const manifest = JSON.parse(manifestContent);
-
-                            console.log(`  ${colors.green}✓${colors.reset} ${manifest.name || pluginName} (v${manifest.version || 'N/A'})`);
-                            console.log(`    ${colors.cyan}Author:${colors.reset} ${manifest.author || 'Unknown'}`);
-                            console.log(`    ${colors.cyan}Description:${colors.reset} ${manifest.description || 'No description'}`);
-                            console.log(`    ${colors.cyan}Path:${colors.reset} ${pluginPath}`);
-                            console.log('');
-                        } catch (e) {
-                            console.log(`  ${colors.yellow}⚠${colors.reset} ${pluginName} (invalid manifest)`);
-                            console.log(`    ${colors.cyan}Path:${colors.reset} ${pluginPath}`);
-                            console.log('');
+    getBuiltinLintRules() {
+        const eachScript = (context, codemod) => context.scripts.forEach(file => context.apply(file, codemod));
+        const implementations = {
+            'no-dom-content-loaded': {
+                check: context => context.scripts.forEach(file => {
+                    const analyzer = context.parse(file);
+                    (analyzer ? this.findDOMContentLoadedListeners(analyzer) : [])
+                        .forEach(node => context.report({ file, line: node.loc.start.line, column: node.loc.start.column + 1 }));
+                }),
+                fix: context => eachScript(context, (code, options) => this.unwrapDOMContentLoaded(code, options))
+            },
+            'container-scoping': {
+                check: context => context.scripts.forEach(file => {
+                    const analyzer = context.parse(file);
+                    (analyzer ? this.findGetElementByIdCalls(analyzer) : [])
+                        .forEach(node => context.report({ file, line: node.loc.start.line, column: node.loc.start.column + 1 }));
+                }),
+                fix: context => eachScript(context, (code, options) => this.replaceGetElementById(code, options))
+            },
+            'inline-handler-global': {
+                check: context => this.findInlineHandlerProblems(context).forEach(problem => {
+                    const usedAt = problem.locations.map(location => `${location.file}:${location.line}`).join(', ');
+                    context.report(problem.declaration
+                        ? { ...problem.declaration, message: `${problem.name}() is called from ${usedAt} but is not exposed on window` }
+                        : { ...problem.locations[0], message: `${problem.name}() is called from an inline handler but no plugin script defines it`, fixable: false });
+                }),
+                fix: context => {
+                    const problems = this.findInlineHandlerProblems(context);
+                    problems.filter(problem => !problem.declaration).forEach(problem =>
+                        context.note(problem.locations[0].file, `line ${problem.locations[0].line}: ${problem.name}() is not defined in any plugin script`));
+                    context.scripts.forEach(file => {
+                        const handlers = new Map(problems
+                            .filter(problem => problem.declaration && problem.declaration.file === file)
+                            .map(problem => [problem.name, problem.locations]));
+                        if (handlers.size > 0) {
+                            context.apply(file, (code, options) => this.exposeInlineHandlers(code, handlers, options));
                         }
+                    });
+                }
+            },
+            'mark-tab-ready': {
+                check: context => {
+                    if (context.scripts.length > 0 && !this.hasMarkTabAsReady(context)) {
+                        context.report({ file: context.scripts[0] });
+                    }
+                },
+                fix: context => {
+                    if (context.scripts.length > 0 && !this.hasMarkTabAsReady(context)) {
+                        const target = context.scripts.find(file => /\bfunction\s+initializePlugin\s*\(/.test(context.read(file))) || context.scripts[0];
+                        context.apply(target, (code, options) => this.insertMarkTabAsReady(code, options));
                     }
                 }
-            } catch (e) {
-                log.info(`  Directory not found: ${dir}`);
+            },
+            'backend-initialize': {
+                check: context => {
+                    const entry = context.manifest.backend && this.toRelativePath(context.pluginPath, path.resolve(context.pluginPath, context.manifest.backend));
+                    // A missing or unparsable backend is reported by validation and the security scan
+                    const analyzer = entry && context.read(entry) !== undefined ? context.parse(entry) : null;
+                    if (analyzer && !this.exportsInitialize(analyzer)) {
+                        context.report({ file: entry });
+                    }
+                }
+            },
+            'theme-variables': {
+                check: context => context.styles.forEach(file => {
+                    const content = context.read(file);
+                    const color = /(^|[{;\s])(color|background(-color)?|border(-color)?)\s*:[^;}]*(#[0-9a-f]{3,8}\b|rgba?\(|hsla?\()/i.exec(content);
+                    if (color && !content.includes('var(--')) {
+                        context.report({ file, line: content.slice(0, color.index + color[1].length).split('\n').length });
+                    }
+                })
             }
-        }
-    }
-
-    async buildPlugin(args) {
-        const pluginPath = args[0] || process.cwd();
+        };
 
-        log.title('🔨 Building Plugin');
-        log.info(`Building plugin at: ${pluginPath}`);
+        return Object.entries(implementations).map(([id, implementation]) => ({ id, ...LINT_RULES[id], ...implementation }));
+    }
 
-        // First validate the plugin
-        const validation = await this.runValidation(pluginPath);
-        if (!validation.isValid) {
-            log.error('Plugin validation failed. Fix errors before building.');
-            return false;
+    /**
+     * Files and helpers shared by lint checks and fixers (custom rules get the same object):
+     * scripts (frontend, in page load order), backend, pages, styles, read(file),
+     * parse(file) (a scope-aware analyzer, or null when the file does not parse),
+     * report(finding) in checks, and write(file, content, description)/note(file, message) in fixers.
+     */
+    async createLintContext(pluginPath, options = {}) {
+        let manifest = {};
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(pluginPath, 'plugin.json'), 'utf8'));
+        } catch (e) {
+            // Validation reports manifest problems; lint the files regardless
         }
 
-        // Run security scan
-        const securityScan = await this.runSecurityScan(pluginPath);
-        if (!securityScan.isSecure) {
-            log.error('Security scan failed. Fix security issues before building.');
-            return false;
+        const backend = await this.collectBackendModules(pluginPath, manifest.backend);
+        // Rule and test modules kept inside the plugin are CLI code, not plugin code
+        const excluded = (options.exclude || []).filter(Boolean);
+        const treeFiles = (await this.getAllFiles(pluginPath))
+            .filter(file => !excluded.includes(path.resolve(file)))
+            .map(file => this.toRelativePath(pluginPath, file))
+            .filter(file => !this.isDomTestFile(file))
+            .filter(file => !(options.ignorePatterns || []).some(pattern => this.matchesGlob(file, pattern)));
+        const typeOf = file => SCAN_FILE_TYPES[path.extname(file).toLowerCase()];
+        const sourceTypeOf = file => (path.extname(file).toLowerCase() === '.mjs' ? 'module' : 'script');
+
+        const contents = new Map();
+        for (const file of [...new Set([...treeFiles, ...backend.modules.keys()])].sort()) {
+            if (['javascript', 'html', 'css'].includes(typeOf(file))) {
+                contents.set(file, await fs.readFile(path.join(pluginPath, file), 'utf8'));
+            }
         }
+        const files = [...contents.keys()];
+        const analyzers = new Map();
 
-        try {
-            const manifestPath = path.join(pluginPath, 'plugin.json');
-            const manifestContent = await fs.readFile(manifestPath, 'utf8');
-            const manifest = JSON.parse(manifestContent);
+        const record = (file, content, changes) => {
+            contents.set(file, content);
+            analyzers.delete(file);
+            context.changes.set(file, [...(context.changes.get(file) || []), ...changes]);
+        };
 
-            const pluginName = manifest.name || path.basename(pluginPath);
-            const outputPath = path.join(pluginPath, '..', `${pluginName.replace(/\s+/g, '-')}.zip`);
+        const context = {
+            pluginPath,
+            manifest,
+            id: this.getPluginId(manifest, path.basename(path.resolve(pluginPath))),
+            scripts: await this.orderPageScripts(pluginPath, manifest, files.filter(file => typeOf(file) === 'javascript' && !backend.modules.has(file))),
+            backend: files.filter(file => typeOf(file) === 'javascript' && backend.modules.has(file)),
+            pages: files.filter(file => typeOf(file) === 'html'),
+            styles: files.filter(file => typeOf(file) === 'css'),
+            originals: new Map(contents),
+            changes: new Map(),
+            notes: [],
+            read: file => contents.get(file),
+            parse: file => {
+                if (!analyzers.has(file)) {
+                    let analyzer = null;
+                    try {
+                        analyzer = this.parseFixableScript(contents.get(file), { file, sourceType: sourceTypeOf(file) });
+                    } catch (e) {
+                        // The security scan reports parse errors
+                    }
+                    analyzers.set(file, analyzer);
+                }
+                return analyzers.get(file);
+            },
+            write: (file, content, description) => record(file, content, [description]),
+            note: (file, message) => context.notes.push(`${file}: ${message}`),
+            // Classic scripts share one global scope, so a container declared in one is visible to the others
+            isContainerDeclared: file => context.scripts.some(other => {
+                const analyzer = other !== file ? context.parse(other) : null;
+                return analyzer && analyzer.sourceType === 'script' && analyzer.scopeManager.globalScope.set.has('container');
+            }),
+            // Runs a codemod (code, options) => { content, changes, notes } on one file
+            apply: (file, codemod) => {
+                let result;
+                try {
+                    result = codemod(contents.get(file), {
+                        id: context.id,
+                        indent: '    ',
+                        file,
+                        sourceType: sourceTypeOf(file),
+                        containerDeclared: context.isContainerDeclared(file)
+                    });
+                } catch (error) {
+                    context.note(file, `skipped (${error.message})`);
+                    return;
+                }
+                if (result.content !== contents.get(file)) {
+                    record(file, result.content, result.changes);
+                }
+                result.notes.forEach(note => context.note(file, note));
+            }
+        };
 
-            // Create zip package
-            await this.createPluginPackage(pluginPath, outputPath);
+        return context;
+    }
 
-            log.success(`Plugin built successfully: ${outputPath}`);
+    hasMarkTabAsReady(context) {
+        return context.scripts.some(file => {
+            const analyzer = context.parse(file);
+            return analyzer ? this.callsMarkTabAsReady(analyzer) : context.read(file).includes('markTabAsReady');
+        });
+    }
 
-            // Generate hash for verification
-            const hash = await this.calculateDirectoryHash(pluginPath);
-            log.info(`Plugin hash: ${hash}`);
+    // module.exports = { initialize }, module.exports.initialize = ..., exports.initialize = ... or an ESM export
+    exportsInitialize(analyzer) {
+        return analyzer.nodes.some(node => {
+            if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+                const target = analyzer.resolveGlobal(node.left);
+                return ['module.exports.initialize', 'exports.initialize'].includes(target) ||
+                    (target === 'module.exports' && this.hasInitializeProperty(analyzer, node.right));
+            }
+            if (node.type === 'ExportNamedDeclaration') {
+                const declaration = node.declaration;
+                return (declaration && declaration.type === 'FunctionDeclaration' && declaration.id.name === 'initialize') ||
+                    (declaration && declaration.type === 'VariableDeclaration' && declaration.declarations.some(declarator => declarator.id.name === 'initialize')) ||
+                    node.specifiers.some(specifier => specifier.exported.name === 'initialize');
+            }
+            return node.type === 'ExportDefaultDeclaration' && this.hasInitializeProperty(analyzer, node.declaration);
+        });
+    }
 
+    // Only object literals (directly or through a variable) can be checked; anything else gets the benefit of the doubt
+    hasInitializeProperty(analyzer, node) {
+        if (node.type === 'Identifier') {
+            const variable = analyzer.findVariable(node);
+            const def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+            return def && def.type === 'Variable' && def.node.init ? this.hasInitializeProperty(analyzer, def.node.init) : true;
+        }
+        if (node.type !== 'ObjectExpression') {
             return true;
-        } catch (error) {
-            log.error(`Build failed: ${error.message}`);
-            return false;
         }
+        return node.properties.some(property => property.type === 'SpreadElement' ||
+            (property.type === 'Property' && analyzer.getStaticKey(property) === 'initialize'));
     }
 
-    async createPluginPackage(pluginPath, outputPath) {
-        const archiver = require('archiver');
-        const output = require('fs').createWriteStream(outputPath);
-        const archive = archiver('zip', { zlib: { level: 9 } });
+    async devPlugin(args) {
+        const chokidar = require('chokidar');
+        const { positionals, flags } = this.parseCommandArgs(args);
+        const pluginPath = path.resolve(positionals[0] || process.cwd());
+        const installPath = flags.install ? path.join(PLUGIN_DIR, path.basename(pluginPath)) : null;
 
-        return new Promise((resolve, reject) => {
-            output.on('close', () => {
-                log.info(`Package created: ${archive.pointer()} bytes`);
-                resolve();
-            });
+        log.title('👀 Plugin Dev Mode');
+        log.info(`Watching plugin at: ${pluginPath}`);
 
-            archive.on('error', reject);
-            archive.pipe(output);
+        try {
+            await fs.access(pluginPath);
+        } catch (e) {
+            log.error('Plugin directory does not exist');
+            return false;
+        }
 
-            // Add all files except node_modules and build artifacts
-            archive.glob('**/*', {
-                cwd: pluginPath,
-                ignore: ['node_modules/**', '*.zip', '.git/**', '.DS_Store', 'Thumbs.db']
-            });
+        if (installPath && installPath === pluginPath) {
+            log.warning('Plugin already lives in the WinTool plugins directory, skipping install copies');
+        }
 
-            archive.finalize();
+        // Latest results per stage; security is tracked per file so a change only
+        // re-scans the files it touched (or all of them after a settings change), while lint rules look across files and always run in full
+        const state = {
+            validation: null,
+            security: new Map(),
+            lint: null,
+            changed: [],
+            installed: false,
+            lastRun: null
+        };
+
+        // The config, its baseline and plugin.json (backend entry) change what every file's scan reports
+        const getSettingsFiles = async () => {
+            const config = await this.loadPluginConfig(pluginPath).catch(() => null);
+            const baseline = config ? this.toRelativePath(pluginPath, config.baseline) : DEFAULT_PLUGIN_CONFIG.baseline;
+            return [PLUGIN_CONFIG_FILE, baseline, 'plugin.json'];
+        };
+
+        const runChecks = async (changedFiles) => {
+            const settingsFiles = await getSettingsFiles();
+            const rescanAll = !changedFiles || changedFiles.some(file => settingsFiles.includes(file));
+            const files = rescanAll
+                ? (await this.getAllFiles(pluginPath)).map(file => this.toRelativePath(pluginPath, file))
+                : changedFiles;
+
+            state.validation = await this.runValidation(pluginPath);
+            state.lint = await this.runLintRules(pluginPath);
+
+            if (rescanAll) {
+                state.security.clear();
+            }
+            for (const file of files) {
+                if (await this.pathExists(path.join(pluginPath, file))) {
+                    state.security.set(file, await this.runSecurityScan(pluginPath, { files: [file] }));
+                } else {
+                    state.security.delete(file);
+                }
+            }
+
+            if (installPath && installPath !== pluginPath) {
+                for (const file of changedFiles || files) {
+                    await this.syncInstalledFile(pluginPath, installPath, file, await this.pathExists(path.join(pluginPath, file)));
+                    state.installed = true;
+                }
+            }
+
+            state.changed = changedFiles || [];
+            state.lastRun = new Date();
+            this.renderDevDashboard(pluginPath, installPath, state);
+        };
+
+        await runChecks(null);
+
+        const watcher = chokidar.watch(pluginPath, {
+            ignoreInitial: true,
+            ignored: ['**/node_modules/**', '**/.git/**', '**/*.zip'],
+            awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 50 }
         });
-    }
 
-    async testPlugin(args) {
-        const pluginPath = args[0] || process.cwd();
+        // Batch bursts of events (editors often write several times per save)
+        let pending = new Set();
+        let timer = null;
+        let running = Promise.resolve();
+
+        const schedule = (filePath) => {
+            pending.add(this.toRelativePath(pluginPath, filePath));
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const batch = [...pending];
+                pending = new Set();
+                running = running.then(() => runChecks(batch)).catch(error => {
+                    log.error(`Dev check failed: ${error.message}`);
+                });
+            }, 200);
+        };
 
-        log.title('🧪 Testing Plugin');
-        log.info(`Testing plugin at: ${pluginPath}`);
+        watcher.on('add', schedule).on('change', schedule).on('unlink', schedule);
+        watcher.on('error', error => log.error(`Watcher error: ${error.message}`));
 
-        let allTestsPassed = true;
+        return new Promise(resolve => {
+            process.once('SIGINT', async () => {
+                clearTimeout(timer);
+                await watcher.close();
+                await running;
+                log.info('Stopped watching');
+                resolve(true);
+            });
+        });
+    }
 
-        // Run validation tests
-        log.subtitle('Running validation tests...');
-        const validation = await this.runValidation(pluginPath);
-        if (validation.isValid) {
-            log.success('✓ Validation tests passed');
-        } else {
-            log.error('✗ Validation tests failed');
-            allTestsPassed = false;
+    renderDevDashboard(pluginPath, installPath, state) {
+        console.clear();
+        log.title('👀 Plugin Dev Mode');
+        log.info(`Watching: ${pluginPath}`);
+        if (installPath && state.installed) {
+            log.info(`Installed to: ${installPath}`);
         }
+        log.info(`Last run: ${state.lastRun.toLocaleTimeString()}${state.changed.length > 0 ? ` (changed: ${state.changed.join(', ')})` : ''}`);
+        console.log('');
 
-        // Run security tests
-        log.subtitle('Running security tests...');
-        const security = await this.runSecurityScan(pluginPath);
-        if (security.isSecure) {
-            log.success('✓ Security tests passed');
+        log.subtitle('Validation');
+        if (state.validation.isValid) {
+            log.success('Plugin validation passed');
         } else {
-            log.error('✗ Security tests failed');
-            allTestsPassed = false;
+            state.validation.errors.forEach(error => log.error(`  • ${error}`));
+        }
+        state.validation.warnings.forEach(warning => log.warning(`  • ${warning}`));
+        console.log('');
+
+        log.subtitle('Security');
+        const securityResults = [...state.security.values()];
+        const issues = securityResults.flatMap(result => result.issues);
+        if (securityResults.every(result => result.isSecure)) {
+            log.success('Security scan passed');
         }
+        issues.forEach(issue => {
+            const report = issue.severity === 'high' ? log.error : log.warning;
+            report(`  • ${this.formatSecurityIssue(issue)}`);
+        });
+        console.log('');
 
-        // Run functionality tests
-        log.subtitle('Running functionality tests...');
-        const functionality = await this.runFunctionalityTests(pluginPath);
-        if (functionality.passed) {
-            log.success('✓ Functionality tests passed');
-        } else {
-            log.error('✗ Functionality tests failed');
-            allTestsPassed = false;
+        log.subtitle('Lint');
+        if (state.lint.passed) {
+            log.success('Lint rules passed');
         }
+        state.lint.issues.forEach(issue => {
+            const report = issue.severity === 'high' ? log.error : log.warning;
+            report(`  • ${this.formatSecurityIssue(issue)}`);
+        });
+        console.log('');
 
-        // Summary
-        if (allTestsPassed) {
-            log.success('🎉 All tests passed!');
+        log.info('Waiting for changes... (Ctrl+C to stop)');
+    }
+
+    async syncInstalledFile(pluginPath, installPath, file, exists) {
+        const target = path.join(installPath, file);
+
+        if (exists) {
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.copyFile(path.join(pluginPath, file), target);
         } else {
-            log.error('❌ Some tests failed. Please fix the issues and try again.');
+            await fs.unlink(target).catch(() => {
+                // Already removed from the installed copy
+            });
         }
-
-        return allTestsPassed;
     }
 
-    async runFunctionalityTests(pluginPath) {
-        const testResult = {
-            passed: true,
-            issues: []
-        };
+    async invokeHandler(args) {
+        const { positionals, flags } = this.parseCommandArgs(args);
+
+        // The plugin path is optional, so only treat the first argument as one if it is a directory
+        let pluginPath = process.cwd();
+        let rest = positionals;
+        if (positionals.length > 0) {
+            const isDirectory = await fs.stat(positionals[0]).then(stat => stat.isDirectory(), () => false);
+            if (isDirectory) {
+                pluginPath = positionals[0];
+                rest = positionals.slice(1);
+            }
+        }
+        pluginPath = path.resolve(pluginPath);
+
+        const [handlerName, ...rawArgs] = rest;
+        const handlerArgs = rawArgs.map(raw => {
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                // Allow bare strings without JSON quoting
+                return raw;
+            }
+        });
+
+        log.title('⚡ Backend Invoke');
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await fs.readFile(path.join(pluginPath, 'plugin.json'), 'utf8'));
+        } catch (e) {
+            log.error(`Could not read plugin.json in ${pluginPath}`);
+            return false;
+        }
 
+        const backendPath = path.join(pluginPath, manifest.backend || 'backend.js');
         try {
-            // Test 1: Check if script.js has proper initialization
-            const scriptPath = path.join(pluginPath, 'script.js');
-            const scriptContent = await fs.readFile(scriptPath, 'utf8');
+            await fs.access(backendPath);
+        } catch (e) {
+            log.error(`Backend file not found: ${path.relative(pluginPath, backendPath)}`);
+            return false;
+        }
+
+        const handlers = new Map();
+        const api = await this.createBackendAPI(pluginPath, handlers, flags);
 
-            if (!scriptContent.includes('DOMContentLoaded')) {
-                testResult.issues.push('Script should listen for DOMContentLoaded event');
-                testResult.passed = false;
+        try {
+            delete require.cache[require.resolve(backendPath)];
+            const backend = require(backendPath);
+
+            if (!backend || typeof backend.initialize !== 'function') {
+                log.error('Backend does not export an initialize function');
+                return false;
             }
 
-            if (!scriptContent.includes('markTabAsReady')) {
-                testResult.issues.push('Script should call markTabAsReady() when initialized');
-                testResult.passed = false;
+            await backend.initialize(api);
+        } catch (error) {
+            log.error(`Backend initialization failed: ${error.message}`);
+            if (process.env.DEBUG) {
+                console.error(error.stack);
             }
+            return false;
+        }
 
-            // Test 2: Check if backend.js has proper structure (if exists)
-            const backendPath = path.join(pluginPath, 'backend.js');
-            try {
-                const backendContent = await fs.readFile(backendPath, 'utf8');
+        const available = [...handlers.keys()];
 
-                if (!backendContent.includes('module.exports')) {
-                    testResult.issues.push('Backend should export module with initialize function');
-                    testResult.passed = false;
-                }
+        if (!handlerName) {
+            log.info(`Registered handlers (${available.length}):`);
+            available.forEach(name => log.info(`  • ${name}`));
+            return true;
+        }
 
-                if (!backendContent.includes('initialize')) {
-                    testResult.issues.push('Backend should have initialize function');
-                    testResult.passed = false;
-                }
-            } catch (e) {
-                // Backend file doesn't exist, which is fine
+        if (!handlers.has(handlerName)) {
+            log.error(`Handler not registered: ${handlerName}`);
+            if (available.length > 0) {
+                log.info(`Available handlers: ${available.join(', ')}`);
+            }
+            return false;
+        }
+
+        log.info(`Invoking "${handlerName}" with ${handlerArgs.length} argument(s)`);
+
+        const timeout = parseInt(flags.timeout, 10) || SANDBOX_CONFIG.maxExecutionTime;
+        let timer;
+
+        try {
+            const result = await Promise.race([
+                Promise.resolve().then(() => handlers.get(handlerName)(...handlerArgs)),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Handler timed out after ${timeout}ms`)), timeout);
+                })
+            ]);
+
+            log.success(`Handler "${handlerName}" returned:`);
+            console.log(result === undefined ? 'undefined' : JSON.stringify(result, null, 2));
+            return true;
+        } catch (error) {
+            log.error(`Handler "${handlerName}" threw: ${error && error.message ? error.message : error}`);
+            if (process.env.DEBUG && error && error.stack) {
+                console.error(error.stack);
             }
+            return false;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async createBackendAPI(pluginPath, handlers, flags = {}) {
+        const fsSync = require('fs');
+        const Module = require('module');
 
-            // Test 3: Check CSS for responsive design
-            const cssPath = path.join(pluginPath, 'styles.css');
+        // File-backed stand-in for electron-store
+        const storePath = path.resolve(flags.store || path.join(pluginPath, '.wintool-store.json'));
+        const readStore = () => {
             try {
-                const cssContent = await fs.readFile(cssPath, 'utf8');
+                return JSON.parse(fsSync.readFileSync(storePath, 'utf8'));
+            } catch (e) {
+                return {};
+            }
+        };
+        const writeStore = (data) => fsSync.writeFileSync(storePath, JSON.stringify(data, null, 2));
 
-                if (!cssContent.includes('var(--')) {
-                    testResult.issues.push('CSS should use CSS variables for theming');
-                    testResult.passed = false;
+        const store = {
+            path: storePath,
+            get store() {
+                return readStore();
+            },
+            get: (key, defaultValue) => {
+                const data = readStore();
+                return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : defaultValue;
+            },
+            set: (key, value) => {
+                const data = readStore();
+                if (typeof key === 'object' && key !== null) {
+                    Object.assign(data, key);
+                } else {
+                    data[key] = value;
                 }
+                writeStore(data);
+            },
+            has: (key) => Object.prototype.hasOwnProperty.call(readStore(), key),
+            delete: (key) => {
+                const data = readStore();
+                delete data[key];
+                writeStore(data);
+            },
+            clear: () => writeStore({})
+        };
+
+        // Resolve modules from the plugin's own node_modules, like WinTool's api.require
+        const pluginRequire = Module.createRequire(path.join(pluginPath, 'package.json'));
+        const nodeModulesPath = path.join(pluginPath, 'node_modules') + path.sep;
+        const requireFromPlugin = (moduleName) => {
+            let resolved;
+            try {
+                resolved = pluginRequire.resolve(moduleName);
             } catch (e) {
-                // CSS file is optional
+                resolved = null;
             }
+            if (!resolved || (resolved !== moduleName && !resolved.startsWith(nodeModulesPath))) {
+                throw new Error(`Cannot find module '${moduleName}' in the plugin's node_modules`);
+            }
+            return pluginRequire(moduleName);
+        };
 
-        } catch (error) {
-            testResult.issues.push(`Test error: ${error.message}`);
-            testResult.passed = false;
-        }
+        // Canned dialog results; --dialog-file simulates the user picking a file
+        const dialogFile = flags['dialog-file'] ? path.resolve(flags['dialog-file']) : null;
+        const dialog = {
+            showOpenDialog: async () => {
+                log.info(`[dialog] showOpenDialog ${dialogFile || '(canceled)'}`);
+                return dialogFile ? { canceled: false, filePaths: [dialogFile] } : { canceled: true, filePaths: [] };
+            },
+            showSaveDialog: async () => {
+                log.info(`[dialog] showSaveDialog ${dialogFile || '(canceled)'}`);
+                return dialogFile ? { canceled: false, filePath: dialogFile } : { canceled: true };
+            },
+            showMessageBox: async (...dialogArgs) => {
+                const options = dialogArgs[dialogArgs.length - 1] || {};
+                log.info(`[dialog] showMessageBox: ${options.message || ''}`);
+                return { response: 0, checkboxChecked: false };
+            },
+            showErrorBox: (title, content) => {
+                log.info(`[dialog] showErrorBox: ${title} - ${content}`);
+            }
+        };
 
-        if (testResult.issues.length > 0) {
-            testResult.issues.forEach(issue => log.warning(`  • ${issue}`));
+        let fixtures = {};
+        if (flags['axios-fixtures']) {
+            fixtures = JSON.parse(await fs.readFile(path.resolve(flags['axios-fixtures']), 'utf8'));
         }
 
-        return testResult;
+        return {
+            registerHandler: (name, func) => {
+                if (typeof func !== 'function') {
+                    throw new Error(`Handler "${name}" must be a function`);
+                }
+                handlers.set(name, func);
+            },
+            getStore: async () => store,
+            require: requireFromPlugin,
+            dialog,
+            axios: this.createAxiosStub(fixtures)
+        };
     }
 
-    async calculateDirectoryHash(dirPath) {
-        const crypto = require('crypto');
-        const hash = crypto.createHash('sha256');
+    createAxiosStub(fixtures) {
+        // Network access is disabled; requests are answered from fixtures only
+        const request = async (config) => {
+            const method = (config.method || 'get').toUpperCase();
+            const fixture = fixtures[`${method} ${config.url}`] !== undefined
+                ? fixtures[`${method} ${config.url}`]
+                : fixtures[config.url];
 
-        const files = await this.getAllFiles(dirPath);
-        files.sort(); // Ensure consistent ordering
+            log.info(`[axios] ${method} ${config.url}`);
 
-        for (const file of files) {
-            const content = await fs.readFile(file, 'utf8');
-            hash.update(content);
+            if (fixture === undefined) {
+                throw new Error(`Network requests are disabled in the invoke harness (no fixture for ${method} ${config.url})`);
+            }
+
+            const response = fixture && typeof fixture === 'object' && 'data' in fixture
+                ? fixture
+                : { data: fixture };
+
+            return {
+                status: 200,
+                statusText: 'OK',
+                headers: {},
+                config,
+                ...response
+            };
+        };
+
+        const axios = (urlOrConfig, config = {}) => typeof urlOrConfig === 'string'
+            ? request({ ...config, url: urlOrConfig })
+            : request(urlOrConfig);
+
+        axios.request = request;
+        for (const method of ['get', 'delete', 'head', 'options']) {
+            axios[method] = (url, config = {}) => request({ ...config, method, url });
+        }
+        for (const method of ['post', 'put', 'patch']) {
+            axios[method] = (url, data, config = {}) => request({ ...config, method, url, data });
         }
+        axios.create = () => axios;
 
-        return hash.digest('hex');
+        return axios;
+    }
+
+    // Hashes the files that would be packaged, paths included, as raw bytes
+    async calculateDirectoryHash(dirPath) {
+        const files = await this.collectPackageFiles(dirPath);
+        return this.calculateContentsHash(this.hashPackageFiles(files));
     }
 
-    async getAllFiles(dirPath) {
+    // Dotfiles are skipped unless includeHidden is set; node_modules and .git always are
+    async getAllFiles(dirPath, options = {}) {
         const files = [];
+        const isSkipped = (item) => item.startsWith('.') && (!options.includeHidden || item === '.git');
 
         async function traverse(currentPath) {
             const items = await fs.readdir(currentPath);
@@ -1195,9 +8138,9 @@ async function processInput(input) {
                 const itemPath = path.join(currentPath, item);
                 const stat = await fs.stat(itemPath);
 
-                if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
+                if (stat.isDirectory() && !isSkipped(item) && item !== 'node_modules') {
                     await traverse(itemPath);
-                } else if (stat.isFile() && !item.startsWith('.')) {
+                } else if (stat.isFile() && !isSkipped(item)) {
                     files.push(itemPath);
                 }
             }